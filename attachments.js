@@ -0,0 +1,239 @@
+// File attachments. Uploads are streamed into the blob store and keyed by their SHA-256, so a file
+// uploaded twice is stored once. The type is sniffed from the file's first bytes, images get a
+// thumbnail, and messages only carry the attachment's metadata and download URL.
+const crypto = require('crypto');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { buffer } = require('stream/consumers');
+const sharp = require('sharp');
+const { db } = require('./database');
+const { createBlobStore } = require('./blob-store');
+
+const MAX_UPLOAD_BYTES = parseInt(process.env.MAX_UPLOAD_BYTES) || 10 * 1024 * 1024;
+const THUMBNAIL_SIZE = 320;
+const SNIFF_BYTES = 512;
+
+// Recognised by their leading bytes; what the client claims the type is doesn't matter
+const SIGNATURES = [
+    { mimeType: 'image/png', offset: 0, bytes: Buffer.from('89504e470d0a1a0a', 'hex') },
+    { mimeType: 'image/jpeg', offset: 0, bytes: Buffer.from('ffd8ff', 'hex') },
+    { mimeType: 'image/gif', offset: 0, bytes: Buffer.from('GIF8') },
+    { mimeType: 'image/webp', offset: 8, bytes: Buffer.from('WEBP') },
+    { mimeType: 'application/pdf', offset: 0, bytes: Buffer.from('%PDF-') },
+    { mimeType: 'application/zip', offset: 0, bytes: Buffer.from('504b0304', 'hex') },
+    { mimeType: 'audio/mpeg', offset: 0, bytes: Buffer.from('ID3') },
+    { mimeType: 'video/mp4', offset: 4, bytes: Buffer.from('ftyp') }
+];
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const ALLOWED_TYPES = process.env.UPLOAD_TYPES
+    ? process.env.UPLOAD_TYPES.split(',').map(type => type.trim())
+    : [...SIGNATURES.map(signature => signature.mimeType), 'text/plain'];
+
+// Raised for uploads and downloads that can't be honoured; status is used by REST routes
+class AttachmentError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'AttachmentError';
+        this.status = status;
+    }
+}
+
+let store = null;
+
+function getStore() {
+    if (!store) store = createBlobStore();
+    return store;
+}
+
+// The MIME type of a file from its first bytes, or null if it isn't a recognised type.
+// Anything valid as UTF-8 without NUL bytes counts as plain text.
+function sniffMimeType(head) {
+    const signature = SIGNATURES.find(({ offset, bytes }) =>
+        head.length >= offset + bytes.length && head.subarray(offset, offset + bytes.length).equals(bytes));
+    if (signature) return signature.mimeType;
+
+    if (head.length === 0 || head.includes(0)) return null;
+    try {
+        // stream: true tolerates a character cut in half at the end of the sniffed bytes
+        new TextDecoder('utf-8', { fatal: true }).decode(head, { stream: true });
+        return 'text/plain';
+    } catch (error) {
+        return null;
+    }
+}
+
+function cleanFileName(fileName) {
+    const name = String(fileName || '').split(/[\\/]/).pop().replace(/[\x00-\x1f\x7f]/g, '').trim();
+    return name.slice(0, 255) || 'file';
+}
+
+// Streams `readable` into the blob store, returning its key, size and leading bytes.
+// Stops as soon as the content passes `maxBytes`.
+async function storeStream(readable, maxBytes) {
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+    let head = Buffer.alloc(0);
+
+    const inspector = new Transform({
+        transform(chunk, encoding, callback) {
+            size += chunk.length;
+            if (size > maxBytes) {
+                return callback(new AttachmentError(`Files can be at most ${formatSize(maxBytes)}`, 413));
+            }
+            hash.update(chunk);
+            if (head.length < SNIFF_BYTES) {
+                head = Buffer.concat([head, chunk.subarray(0, SNIFF_BYTES - head.length)]);
+            }
+            callback(null, chunk);
+        }
+    });
+
+    const upload = await getStore().createUpload();
+    try {
+        await pipeline(readable, inspector, upload.stream);
+    } catch (error) {
+        await upload.abort();
+        throw error;
+    }
+    return { upload, key: hash.digest('hex'), size, head };
+}
+
+// Width, height and a thumbnail key for an image blob. Images sharp can't read get no thumbnail.
+async function describeImage(key) {
+    try {
+        const image = sharp(await buffer(getStore().createReadStream(key)));
+        const { width, height } = await image.metadata();
+        const thumbnail = await image
+            .rotate()
+            .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+            .webp()
+            .toBuffer();
+
+        const thumbnailKey = crypto.createHash('sha256').update(thumbnail).digest('hex');
+        await getStore().write(thumbnailKey, thumbnail);
+        return { width, height, thumbnailKey };
+    } catch (error) {
+        return { width: null, height: null, thumbnailKey: null };
+    }
+}
+
+// Saves the attachment row for a committed blob. A blob stored before reuses its sniffed type and thumbnail.
+async function recordAttachment({ key, size, mimeType, fileName, uploadedBy }) {
+    const existing = await db.getAttachmentByBlobKey(key);
+    const image = existing
+        ? { width: existing.width, height: existing.height, thumbnailKey: existing.thumbnail_key }
+        : IMAGE_TYPES.includes(mimeType) ? await describeImage(key) : {};
+
+    return db.createAttachment({
+        blobKey: key,
+        fileName: cleanFileName(fileName),
+        mimeType: existing ? existing.mime_type : mimeType,
+        size,
+        ...image,
+        uploadedBy
+    });
+}
+
+// Stores an upload for `user`. `declaredSize` (Content-Length) lets oversized uploads fail before any data is read.
+async function upload(user, readable, { fileName, declaredSize = null }) {
+    if (declaredSize !== null && declaredSize > MAX_UPLOAD_BYTES) {
+        throw new AttachmentError(`Files can be at most ${formatSize(MAX_UPLOAD_BYTES)}`, 413);
+    }
+
+    const { upload: pending, key, size, head } = await storeStream(readable, MAX_UPLOAD_BYTES);
+    const mimeType = sniffMimeType(head);
+    if (size === 0 || !ALLOWED_TYPES.includes(mimeType)) {
+        await pending.abort();
+        throw new AttachmentError(size === 0 ? 'The file is empty' : 'That type of file isn\'t allowed', size === 0 ? 400 : 415);
+    }
+
+    await pending.commit(key);
+    return recordAttachment({ key, size, mimeType, fileName, uploadedBy: user.username });
+}
+
+// An attachment `user` uploaded, ready to be posted in a message
+async function requireOwn(user, attachmentId) {
+    const id = parseInt(attachmentId);
+    const attachment = Number.isInteger(id) ? await db.getAttachment(id) : null;
+    if (!attachment || attachment.uploaded_by !== user.username) {
+        throw new AttachmentError('Attachment not found', 404);
+    }
+    return attachment;
+}
+
+// Opens an attachment, or its thumbnail, for someone who uploaded it or can see a message carrying it
+async function open(user, attachmentId, { thumbnail = false } = {}) {
+    const id = parseInt(attachmentId);
+    const attachment = Number.isInteger(id) && await db.canDownloadAttachment(id, user.id, user.username)
+        ? await db.getAttachment(id)
+        : null;
+    if (!attachment) throw new AttachmentError('Attachment not found', 404);
+
+    const key = thumbnail ? attachment.thumbnail_key : attachment.blob_key;
+    if (!key || !await getStore().exists(key)) throw new AttachmentError('Attachment not found', 404);
+    return { attachment, stream: getStore().createReadStream(key) };
+}
+
+// Client-facing view of an attachment row
+function describeAttachment(attachment) {
+    return {
+        id: attachment.id,
+        fileName: attachment.file_name,
+        mimeType: attachment.mime_type,
+        size: attachment.size_bytes,
+        width: attachment.width,
+        height: attachment.height,
+        url: `/api/attachments/${attachment.id}`,
+        thumbnailUrl: attachment.thumbnail_key ? `/api/attachments/${attachment.id}/thumbnail` : null
+    };
+}
+
+function formatSize(bytes) {
+    return bytes >= 1024 * 1024 ? `${Math.round(bytes / (1024 * 1024))} MB` : `${Math.round(bytes / 1024)} KB`;
+}
+
+// Moves files stored inline in messages.file_data (base64, optionally as a data: URL) into the
+// blob store, a batch at a time. Old files skip the type and size limits. A row that can't be moved
+// is logged and left inline. Returns how many moved.
+async function migrateFileData(batchSize = 20) {
+    let moved = 0;
+    let afterId = 0;
+    for (;;) {
+        const rows = await db.getInlineFileMessages(afterId, batchSize);
+        if (rows.length === 0) return moved;
+
+        for (const row of rows) {
+            afterId = row.id;
+            try {
+                const match = row.file_data.match(/^data:([^;,]*)(?:;[^,]*)?,(.*)$/s);
+                const content = Buffer.from(match ? match[2] : row.file_data, 'base64');
+
+                const { upload: pending, key, size, head } = await storeStream(Readable.from([content]), Infinity);
+                await pending.commit(key);
+                const attachment = await recordAttachment({
+                    key,
+                    size,
+                    mimeType: sniffMimeType(head) || row.file_type || (match && match[1]) || 'application/octet-stream',
+                    fileName: row.file_name,
+                    uploadedBy: row.username
+                });
+                await db.setMessageAttachment(row.id, attachment.id);
+                moved++;
+            } catch (error) {
+                console.error(`Error moving the file of message ${row.id} into the blob store:`, error);
+            }
+        }
+    }
+}
+
+module.exports = {
+    MAX_UPLOAD_BYTES,
+    ALLOWED_TYPES,
+    AttachmentError,
+    sniffMimeType,
+    upload,
+    requireOwn,
+    open,
+    describeAttachment,
+    migrateFileData
+};
@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+require('dotenv').config();
+
+const { db } = require('./database');
+const { BOT_USERNAME } = require('./bot');
+const moderation = require('./moderation');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const BCRYPT_ROUNDS = 10;
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_]{3,30}$/;
+// @here and @channel are mentions of a whole channel
+const RESERVED_USERNAMES = ['system', 'here', 'channel', BOT_USERNAME.toLowerCase()];
+const MIN_PASSWORD_LENGTH = 8;
+
+// Without a configured secret every restart invalidates all issued tokens
+let jwtSecret = process.env.JWT_SECRET;
+if (!jwtSecret) {
+    jwtSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('⚠️ JWT_SECRET is not set, using a random secret for this process');
+}
+
+// Error carrying the HTTP status the route should answer with
+class AuthError extends Error {
+    constructor(message, status = 401) {
+        super(message);
+        this.name = 'AuthError';
+        this.status = status;
+    }
+}
+
+// Password helpers
+function hashPassword(password) {
+    return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+function verifyPassword(password, passwordHash) {
+    if (!passwordHash) return Promise.resolve(false);
+    return bcrypt.compare(password, passwordHash);
+}
+
+function validateCredentials(username, password) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+        throw new AuthError('Username must be 3-30 letters, numbers or underscores', 400);
+    }
+    if (RESERVED_USERNAMES.includes(username.toLowerCase())) {
+        throw new AuthError('Username is reserved', 400);
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw new AuthError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+    }
+}
+
+// Token helpers
+function signAccessToken(user) {
+    return jwt.sign({ sub: String(user.id), username: user.username }, jwtSecret, {
+        expiresIn: ACCESS_TOKEN_TTL
+    });
+}
+
+function verifyAccessToken(token) {
+    try {
+        const payload = jwt.verify(token, jwtSecret);
+        return { id: parseInt(payload.sub), username: payload.username, issuedAt: payload.iat };
+    } catch (error) {
+        throw new AuthError('Invalid or expired token');
+    }
+}
+
+// Refresh tokens are opaque random strings; only their hash is stored
+function hashRefreshToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function issueTokens(user) {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    await db.saveRefreshToken(user.id, hashRefreshToken(refreshToken), expiresAt);
+
+    return {
+        accessToken: signAccessToken(user),
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_TTL
+    };
+}
+
+function publicUser(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        avatarUrl: user.avatar_url,
+        rating: user.rating,
+        role: moderation.roleOf(user)
+    };
+}
+
+// Account operations
+async function register({ username, password, email = null }) {
+    validateCredentials(username, password);
+
+    // Accounts left by the old password-less join are taken too; registering one would hand
+    // over its history to whoever asked first
+    if (await db.getUserByUsername(username)) {
+        throw new AuthError('Username is already taken', 409);
+    }
+
+    const user = await db.createUser(username, email, await hashPassword(password));
+    return { user: publicUser(user), ...(await issueTokens(user)) };
+}
+
+async function login({ username, password }) {
+    const user = typeof username === 'string' ? await db.getUserByUsername(username) : null;
+    const valid = user && typeof password === 'string' && await verifyPassword(password, user.password_hash);
+
+    if (!valid) {
+        throw new AuthError('Invalid username or password');
+    }
+    if (moderation.isBanned(user)) {
+        throw new AuthError('This account is banned', 403);
+    }
+
+    return { user: publicUser(user), ...(await issueTokens(user)) };
+}
+
+async function refresh(refreshToken) {
+    if (typeof refreshToken !== 'string' || !refreshToken) {
+        throw new AuthError('Refresh token is required', 400);
+    }
+
+    // Rotate: the presented token is revoked, so each one can only be used once
+    const stored = await db.revokeRefreshToken(hashRefreshToken(refreshToken));
+    if (!stored || new Date(stored.expires_at) <= new Date()) {
+        throw new AuthError('Invalid or expired refresh token');
+    }
+
+    const user = await db.getUserById(stored.user_id);
+    if (!user) {
+        throw new AuthError('Invalid or expired refresh token');
+    }
+    if (moderation.isBanned(user)) {
+        throw new AuthError('This account is banned', 403);
+    }
+
+    return { user: publicUser(user), ...(await issueTokens(user)) };
+}
+
+async function logout(refreshToken) {
+    if (typeof refreshToken === 'string' && refreshToken) {
+        await db.revokeRefreshToken(hashRefreshToken(refreshToken));
+    }
+}
+
+// Access tokens issued before the user was signed out everywhere, e.g. by a kick, no longer count.
+// `iat` is in whole seconds, so tokens from the second of the sign-out still do, letting the user
+// log straight back in.
+function isSignedOut(stored, claims) {
+    return Boolean(stored.signed_out_at) && claims.issuedAt < Math.floor(new Date(stored.signed_out_at).getTime() / 1000);
+}
+
+// Express middleware: attaches req.user from the Bearer token. Banned and signed-out users are turned away.
+async function requireAuth(req, res, next) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    try {
+        req.user = verifyAccessToken(token);
+        const stored = await db.getUserById(req.user.id);
+        if (stored && moderation.isBanned(stored)) {
+            throw new AuthError('This account is banned', 403);
+        }
+        if (stored && isSignedOut(stored, req.user)) {
+            throw new AuthError('Signed out, log in again');
+        }
+    } catch (error) {
+        if (!(error instanceof AuthError)) {
+            console.error('Error authenticating request:', error);
+            return res.status(500).json({ error: 'Failed to authenticate request' });
+        }
+        return res.status(error.status).json({ error: error.message });
+    }
+    next();
+}
+
+// Socket.io handshake middleware: attaches socket.data.user from the token. Banned and signed-out
+// users are turned away.
+async function authenticateSocket(socket, next) {
+    const header = socket.handshake.headers.authorization || '';
+    const token = (socket.handshake.auth && socket.handshake.auth.token) ||
+        (header.startsWith('Bearer ') ? header.slice(7) : null);
+
+    if (!token) {
+        return next(new Error('Authentication required'));
+    }
+
+    try {
+        socket.data.user = verifyAccessToken(token);
+        const stored = await db.getUserById(socket.data.user.id);
+        if (stored && moderation.isBanned(stored)) {
+            return next(new Error('This account is banned'));
+        }
+        if (stored && isSignedOut(stored, socket.data.user)) {
+            return next(new Error('Signed out, log in again'));
+        }
+        next();
+    } catch (error) {
+        next(new Error(error.message));
+    }
+}
+
+module.exports = {
+    AuthError,
+    register,
+    login,
+    refresh,
+    logout,
+    requireAuth,
+    authenticateSocket,
+    verifyAccessToken
+};
@@ -0,0 +1,82 @@
+// Blob stores hold attachment contents under a key, the SHA-256 of the content, so identical
+// files are stored once. BLOB_STORE picks the backend; each one provides the same functions.
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Keeps blobs on local disk, spread over subdirectories named after the first two hex digits
+function createLocalBlobStore(root) {
+    const tempDir = path.join(root, 'tmp');
+    const blobPath = (key) => path.join(root, key.slice(0, 2), key);
+
+    async function exists(key) {
+        try {
+            await fsp.access(blobPath(key));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Moves a finished temporary file under its key. Returns false if that content was already stored.
+    async function commitFile(tempPath, key) {
+        if (await exists(key)) {
+            await fsp.rm(tempPath, { force: true });
+            return false;
+        }
+        await fsp.mkdir(path.dirname(blobPath(key)), { recursive: true });
+        await fsp.rename(tempPath, blobPath(key));
+        return true;
+    }
+
+    return {
+        // Content is written before its key is known: stream into `stream`, then commit(key) or abort()
+        async createUpload() {
+            await fsp.mkdir(tempDir, { recursive: true });
+            const tempPath = path.join(tempDir, crypto.randomUUID());
+            const stream = fs.createWriteStream(tempPath);
+            return {
+                stream,
+                commit: (key) => commitFile(tempPath, key),
+                abort() {
+                    stream.destroy();
+                    return fsp.rm(tempPath, { force: true });
+                }
+            };
+        },
+
+        async write(key, buffer) {
+            await fsp.mkdir(tempDir, { recursive: true });
+            const tempPath = path.join(tempDir, crypto.randomUUID());
+            await fsp.writeFile(tempPath, buffer);
+            return commitFile(tempPath, key);
+        },
+
+        createReadStream(key) {
+            return fs.createReadStream(blobPath(key));
+        },
+
+        exists,
+
+        remove(key) {
+            return fsp.rm(blobPath(key), { force: true });
+        }
+    };
+}
+
+const BACKENDS = {
+    local: () => createLocalBlobStore(process.env.BLOB_STORE_DIR || path.join(__dirname, 'uploads'))
+};
+
+function createBlobStore(backend = process.env.BLOB_STORE || 'local') {
+    if (!BACKENDS[backend]) {
+        throw new Error(`Unknown blob store "${backend}"; expected one of ${Object.keys(BACKENDS).join(', ')}`);
+    }
+    return BACKENDS[backend]();
+}
+
+module.exports = {
+    createBlobStore,
+    createLocalBlobStore
+};
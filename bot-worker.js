@@ -0,0 +1,176 @@
+// Worker thread for the chess bot: iterative-deepening alpha-beta search over
+// the shared rules engine, scored by material plus piece-square tables.
+const { parentPort } = require('worker_threads');
+const chess = require('./chess');
+
+const PIECE_VALUES = { p: 100, n: 320, b: 330, r: 500, q: 900, k: 0 };
+const MATE_SCORE = 100000;
+
+// Piece-square tables for white, row 0 is rank 8. Black reads them mirrored.
+const PIECE_SQUARE_TABLES = {
+    p: [
+        [0, 0, 0, 0, 0, 0, 0, 0],
+        [50, 50, 50, 50, 50, 50, 50, 50],
+        [10, 10, 20, 30, 30, 20, 10, 10],
+        [5, 5, 10, 25, 25, 10, 5, 5],
+        [0, 0, 0, 20, 20, 0, 0, 0],
+        [5, -5, -10, 0, 0, -10, -5, 5],
+        [5, 10, 10, -20, -20, 10, 10, 5],
+        [0, 0, 0, 0, 0, 0, 0, 0]
+    ],
+    n: [
+        [-50, -40, -30, -30, -30, -30, -40, -50],
+        [-40, -20, 0, 0, 0, 0, -20, -40],
+        [-30, 0, 10, 15, 15, 10, 0, -30],
+        [-30, 5, 15, 20, 20, 15, 5, -30],
+        [-30, 0, 15, 20, 20, 15, 0, -30],
+        [-30, 5, 10, 15, 15, 10, 5, -30],
+        [-40, -20, 0, 5, 5, 0, -20, -40],
+        [-50, -40, -30, -30, -30, -30, -40, -50]
+    ],
+    b: [
+        [-20, -10, -10, -10, -10, -10, -10, -20],
+        [-10, 0, 0, 0, 0, 0, 0, -10],
+        [-10, 0, 5, 10, 10, 5, 0, -10],
+        [-10, 5, 5, 10, 10, 5, 5, -10],
+        [-10, 0, 10, 10, 10, 10, 0, -10],
+        [-10, 10, 10, 10, 10, 10, 10, -10],
+        [-10, 5, 0, 0, 0, 0, 5, -10],
+        [-20, -10, -10, -10, -10, -10, -10, -20]
+    ],
+    r: [
+        [0, 0, 0, 0, 0, 0, 0, 0],
+        [5, 10, 10, 10, 10, 10, 10, 5],
+        [-5, 0, 0, 0, 0, 0, 0, -5],
+        [-5, 0, 0, 0, 0, 0, 0, -5],
+        [-5, 0, 0, 0, 0, 0, 0, -5],
+        [-5, 0, 0, 0, 0, 0, 0, -5],
+        [-5, 0, 0, 0, 0, 0, 0, -5],
+        [0, 0, 0, 5, 5, 0, 0, 0]
+    ],
+    q: [
+        [-20, -10, -10, -5, -5, -10, -10, -20],
+        [-10, 0, 0, 0, 0, 0, 0, -10],
+        [-10, 0, 5, 5, 5, 5, 0, -10],
+        [-5, 0, 5, 5, 5, 5, 0, -5],
+        [0, 0, 5, 5, 5, 5, 0, -5],
+        [-10, 5, 5, 5, 5, 5, 0, -10],
+        [-10, 0, 5, 0, 0, 0, 0, -10],
+        [-20, -10, -10, -5, -5, -10, -10, -20]
+    ],
+    k: [
+        [-30, -40, -40, -50, -50, -40, -40, -30],
+        [-30, -40, -40, -50, -50, -40, -40, -30],
+        [-30, -40, -40, -50, -50, -40, -40, -30],
+        [-30, -40, -40, -50, -50, -40, -40, -30],
+        [-20, -30, -30, -40, -40, -30, -30, -20],
+        [-10, -20, -20, -20, -20, -20, -20, -10],
+        [20, 20, 0, 0, 0, 0, 20, 20],
+        [20, 30, 10, 0, 0, 10, 30, 20]
+    ]
+};
+
+// Thrown to unwind the search when its time budget runs out
+class SearchTimeout extends Error {}
+
+// Static score from the point of view of the side to move
+function evaluate(position) {
+    let score = 0;
+    for (let row = 0; row < 8; row++) {
+        for (let col = 0; col < 8; col++) {
+            const piece = position.board[row][col];
+            if (!piece) continue;
+
+            const type = piece.toLowerCase();
+            const isWhite = chess.colorOf(piece) === 'white';
+            const value = PIECE_VALUES[type] + PIECE_SQUARE_TABLES[type][isWhite ? row : 7 - row][col];
+            score += isWhite ? value : -value;
+        }
+    }
+    return position.currentTurn === 'white' ? score : -score;
+}
+
+// Captures of valuable pieces by cheap ones first, then promotions, then the rest
+function orderMoves(board, moves) {
+    const priority = (move) => {
+        const victim = move.enPassant ? 'p' : board[move.to[0]][move.to[1]];
+        const attacker = board[move.from[0]][move.from[1]].toLowerCase();
+        let score = 0;
+        if (victim) score += 10 * PIECE_VALUES[victim.toLowerCase()] - PIECE_VALUES[attacker];
+        if (move.promotion) score += PIECE_VALUES[move.promotion];
+        return score;
+    };
+    return moves.sort((a, b) => priority(b) - priority(a));
+}
+
+function negamax(position, depth, alpha, beta, ply, deadline) {
+    if (Date.now() > deadline) throw new SearchTimeout();
+
+    const moves = chess.legalMoves(position);
+    if (moves.length === 0) {
+        return chess.isInCheck(position.board, position.currentTurn) ? -MATE_SCORE + ply : 0;
+    }
+    if (position.halfmoveClock >= 100) return 0;
+    if (depth === 0) return evaluate(position);
+
+    let best = -Infinity;
+    for (const move of orderMoves(position.board, moves)) {
+        const score = -negamax(chess.nextPosition(position, move), depth - 1, -beta, -alpha, ply + 1, deadline);
+        if (score > best) best = score;
+        if (score > alpha) alpha = score;
+        if (alpha >= beta) break;
+    }
+    return best;
+}
+
+// Searches deeper until maxDepth or the time budget, keeping the best move of the last finished depth
+function chooseMove(position, { maxDepth, timeLimitMs, blunderChance }) {
+    const moves = chess.legalMoves(position);
+    if (moves.length === 0) return null;
+
+    if (Math.random() < blunderChance) {
+        return moves[Math.floor(Math.random() * moves.length)];
+    }
+
+    // Shuffle first so equally good moves vary between games
+    for (let i = moves.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [moves[i], moves[j]] = [moves[j], moves[i]];
+    }
+
+    const deadline = Date.now() + timeLimitMs;
+    let bestMove = orderMoves(position.board, moves)[0];
+
+    for (let depth = 1; depth <= maxDepth; depth++) {
+        try {
+            let alpha = -Infinity;
+            let depthBest = null;
+            for (const move of moves) {
+                const score = -negamax(chess.nextPosition(position, move), depth - 1, -Infinity, -alpha, 1, deadline);
+                if (score > alpha) {
+                    alpha = score;
+                    depthBest = move;
+                }
+            }
+            bestMove = depthBest;
+
+            // Search the best move first at the next depth
+            moves.splice(moves.indexOf(depthBest), 1);
+            moves.unshift(depthBest);
+        } catch (error) {
+            if (error instanceof SearchTimeout) break;
+            throw error;
+        }
+    }
+
+    return bestMove;
+}
+
+parentPort.on('message', ({ id, position, settings }) => {
+    try {
+        const move = chooseMove(position, settings);
+        parentPort.postMessage({ id, move: move && { from: move.from, to: move.to, promotion: move.promotion } });
+    } catch (error) {
+        parentPort.postMessage({ id, error: error.message });
+    }
+});
@@ -0,0 +1,85 @@
+// Built-in chess bot. Moves are searched in a worker thread so the event loop stays free.
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const BOT_USERNAME = 'ChessBot';
+
+const DIFFICULTIES = {
+    easy: { maxDepth: 1, timeLimitMs: 500, blunderChance: 0.3 },
+    medium: { maxDepth: 2, timeLimitMs: 1500, blunderChance: 0.1 },
+    hard: { maxDepth: 3, timeLimitMs: 3000, blunderChance: 0 },
+    expert: { maxDepth: 4, timeLimitMs: 6000, blunderChance: 0 }
+};
+const DEFAULT_DIFFICULTY = 'medium';
+
+let worker = null;
+let nextRequestId = 1;
+const pendingRequests = new Map(); // requestId -> { resolve, reject }
+
+function isBot(username) {
+    return username === BOT_USERNAME;
+}
+
+function isDifficulty(level) {
+    return Object.prototype.hasOwnProperty.call(DIFFICULTIES, level);
+}
+
+// One long-lived worker handles every search; it is recreated if it crashes
+function getWorker() {
+    if (worker) return worker;
+
+    worker = new Worker(path.join(__dirname, 'bot-worker.js'));
+
+    worker.on('message', ({ id, move, error }) => {
+        const request = pendingRequests.get(id);
+        if (!request) return;
+        pendingRequests.delete(id);
+        if (pendingRequests.size === 0) worker.unref();
+        if (error) request.reject(new Error(error));
+        else request.resolve(move);
+    });
+
+    const failAll = (error) => {
+        worker = null;
+        for (const request of pendingRequests.values()) request.reject(error);
+        pendingRequests.clear();
+    };
+    worker.on('error', failAll);
+    worker.on('exit', (code) => {
+        if (code !== 0) failAll(new Error(`Chess bot worker exited with code ${code}`));
+        worker = null;
+    });
+
+    // An idle bot shouldn't keep the process alive
+    worker.unref();
+    return worker;
+}
+
+// Resolves with { from, to, promotion } for the side to move, or null if it has no moves
+function chooseMove(game, level = DEFAULT_DIFFICULTY) {
+    const settings = DIFFICULTIES[level] || DIFFICULTIES[DEFAULT_DIFFICULTY];
+    const position = {
+        board: game.board,
+        currentTurn: game.currentTurn,
+        castling: game.castling,
+        enPassant: game.enPassant,
+        halfmoveClock: game.halfmoveClock,
+        fullmoveNumber: game.fullmoveNumber
+    };
+
+    return new Promise((resolve, reject) => {
+        const id = nextRequestId++;
+        pendingRequests.set(id, { resolve, reject });
+        getWorker().ref();
+        worker.postMessage({ id, position, settings });
+    });
+}
+
+module.exports = {
+    BOT_USERNAME,
+    DIFFICULTIES,
+    DEFAULT_DIFFICULTY,
+    isBot,
+    isDifficulty,
+    chooseMove
+};
@@ -0,0 +1,177 @@
+// Chat channels. Public channels are open to everyone; invite-only channels need an
+// invitation from a member. Everyone belongs to the default channel and can't leave it.
+const { db } = require('./database');
+const moderation = require('./moderation');
+
+const DEFAULT_CHANNEL = 'general';
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{1,49}$/;
+const MAX_TOPIC_LENGTH = 250;
+
+// Raised for channel requests that can't be honoured; status is used by REST routes
+class ChannelError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ChannelError';
+        this.status = status;
+    }
+}
+
+let defaultChannel = null;
+
+// Members of a channel share a socket.io room
+function channelRoom(channelId) {
+    return `channel:${channelId}`;
+}
+
+// Everyone viewing a thread shares a socket.io room
+function threadRoom(messageId) {
+    return `thread:${messageId}`;
+}
+
+async function getDefaultChannel() {
+    if (!defaultChannel) defaultChannel = await db.getChannelByName(DEFAULT_CHANNEL);
+    return defaultChannel;
+}
+
+async function getChannel(channelId) {
+    const id = parseInt(channelId);
+    const channel = Number.isInteger(id) ? await db.getChannelById(id) : null;
+    if (!channel) throw new ChannelError('Channel not found', 404);
+    return channel;
+}
+
+// The channel, provided `user` belongs to it. Invite-only channels are hidden from outsiders.
+async function requireMember(user, channelId) {
+    const channel = await getChannel(channelId);
+    if (!await db.isChannelMember(channel.id, user.id)) {
+        if (channel.is_private) throw new ChannelError('Channel not found', 404);
+        throw new ChannelError('Join the channel first', 403);
+    }
+    return channel;
+}
+
+async function createChannel(user, { name, topic = null, isPrivate = false }) {
+    const channelName = String(name || '').trim().replace(/^#/, '').toLowerCase();
+    if (!NAME_PATTERN.test(channelName)) {
+        throw new ChannelError('Channel names are 2-50 lowercase letters, digits, - or _');
+    }
+    if (topic && String(topic).length > MAX_TOPIC_LENGTH) {
+        throw new ChannelError(`Topics can be at most ${MAX_TOPIC_LENGTH} characters`);
+    }
+
+    try {
+        return await db.createChannel({
+            name: channelName,
+            topic: topic ? String(topic) : null,
+            isPrivate: Boolean(isPrivate),
+            createdBy: user
+        });
+    } catch (error) {
+        if (error.code === '23505') throw new ChannelError('A channel with that name already exists', 409);
+        throw error;
+    }
+}
+
+// Returns { channel, joined }; joined is false if the user was already a member
+async function joinChannel(user, channelId) {
+    const channel = await getChannel(channelId);
+    if (await db.isChannelMember(channel.id, user.id)) return { channel, joined: false };
+
+    if (channel.is_private && !await db.useChannelInvite(channel.id, user.id)) {
+        throw new ChannelError('Channel not found', 404);
+    }
+    await db.addChannelMember(channel.id, user.id);
+    return { channel, joined: true };
+}
+
+async function leaveChannel(user, channelId) {
+    const channel = await getChannel(channelId);
+    if (channel.name === DEFAULT_CHANNEL) {
+        throw new ChannelError(`Everyone stays in #${DEFAULT_CHANNEL}`);
+    }
+    if (!await db.removeChannelMember(channel.id, user.id)) {
+        throw new ChannelError('You are not in that channel');
+    }
+    return channel;
+}
+
+async function inviteToChannel(user, channelId, username) {
+    const channel = await requireMember(user, channelId);
+    const invitee = await db.getUserByUsername(username);
+    if (!invitee) throw new ChannelError('User not found', 404);
+    if (await db.isChannelMember(channel.id, invitee.id)) {
+        throw new ChannelError(`${invitee.username} is already in #${channel.name}`, 409);
+    }
+
+    await db.createChannelInvite(channel.id, invitee.id, user.username);
+    return { channel, invitee: invitee.username };
+}
+
+// The channel's creator and moderators manage it: they set its topic and can use @here and @channel
+async function canManage(user, channel) {
+    return channel.created_by === user.username || moderation.hasRole(await db.getUserById(user.id), 'moderator');
+}
+
+// An empty topic clears it
+async function setTopic(user, channelId, topic) {
+    const channel = await requireMember(user, channelId);
+    const text = String(topic || '').trim();
+    if (text.length > MAX_TOPIC_LENGTH) {
+        throw new ChannelError(`Topics can be at most ${MAX_TOPIC_LENGTH} characters`);
+    }
+    if (!await canManage(user, channel)) {
+        throw new ChannelError('Only the channel\'s creator or a moderator can change its topic', 403);
+    }
+
+    return db.setChannelTopic(channel.id, text || null);
+}
+
+// The message that starts the thread `messageId` is part of, provided `user` can see its channel.
+// Replies always point at the first message, so replying to a reply continues the same thread.
+async function getThreadRoot(user, messageId) {
+    const id = parseInt(messageId);
+    const message = Number.isInteger(id) ? await db.getMessageById(id) : null;
+    if (!message || !message.channel_id) throw new ChannelError('Message not found', 404);
+
+    await requireMember(user, message.channel_id);
+    return message.parent_id ? db.getMessageById(message.parent_id) : message;
+}
+
+// Puts a user in the default channel, returning it
+async function ensureDefaultMembership(user) {
+    const channel = await getDefaultChannel();
+    await db.addChannelMember(channel.id, user.id);
+    return channel;
+}
+
+// Client-facing view of a channel row
+function describeChannel(channel) {
+    return {
+        id: channel.id,
+        name: channel.name,
+        topic: channel.topic,
+        isPrivate: channel.is_private,
+        createdBy: channel.created_by,
+        memberCount: channel.member_count,
+        isMember: channel.is_member
+    };
+}
+
+module.exports = {
+    DEFAULT_CHANNEL,
+    ChannelError,
+    channelRoom,
+    threadRoom,
+    getDefaultChannel,
+    getChannel,
+    requireMember,
+    createChannel,
+    joinChannel,
+    leaveChannel,
+    inviteToChannel,
+    canManage,
+    setTopic,
+    getThreadRoot,
+    ensureDefaultMembership,
+    describeChannel
+};
@@ -0,0 +1,801 @@
+// Chess rules engine: move generation, legality and game end detection.
+// Boards are 8x8 arrays with row 0 as black's back rank; white pieces are uppercase.
+
+const KNIGHT_OFFSETS = [[-2, -1], [-2, 1], [-1, -2], [-1, 2], [1, -2], [1, 2], [2, -1], [2, 1]];
+const KING_OFFSETS = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
+const ROOK_DIRECTIONS = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+const BISHOP_DIRECTIONS = [[-1, -1], [-1, 1], [1, -1], [1, 1]];
+const PROMOTION_PIECES = ['q', 'r', 'b', 'n'];
+const FILES = 'abcdefgh';
+const STANDARD_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+// Raised for malformed or impossible FEN strings
+class FenError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'FenError';
+    }
+}
+
+function createInitialBoard() {
+    return [
+        ['r', 'n', 'b', 'q', 'k', 'b', 'n', 'r'],
+        ['p', 'p', 'p', 'p', 'p', 'p', 'p', 'p'],
+        [null, null, null, null, null, null, null, null],
+        [null, null, null, null, null, null, null, null],
+        [null, null, null, null, null, null, null, null],
+        [null, null, null, null, null, null, null, null],
+        ['P', 'P', 'P', 'P', 'P', 'P', 'P', 'P'],
+        ['R', 'N', 'B', 'Q', 'K', 'B', 'N', 'R']
+    ];
+}
+
+// Starts a game from the standard position, or from options.fen for set-up positions
+function createNewChessGame(whitePlayer, blackPlayer, options = {}) {
+    const position = options.fen ? parseFEN(options.fen) : null;
+    const game = {
+        whitePlayer,
+        blackPlayer,
+        currentTurn: 'white',
+        board: createInitialBoard(),
+        gameStatus: 'active',
+        winner: null,
+        endReason: null,
+        moveHistory: [],
+        movedColors: [],
+        castling: 'KQkq',
+        enPassant: null,
+        halfmoveClock: 0,
+        fullmoveNumber: 1,
+        positionHistory: [],
+        startFen: null,
+        ...position
+    };
+    if (position) {
+        game.startFen = toFEN(game);
+    }
+    game.positionHistory.push(positionKey(game));
+    return game;
+}
+
+// Piece helpers
+function colorOf(piece) {
+    return piece === piece.toUpperCase() ? 'white' : 'black';
+}
+
+function opposite(color) {
+    return color === 'white' ? 'black' : 'white';
+}
+
+function pieceFor(type, color) {
+    return color === 'white' ? type.toUpperCase() : type.toLowerCase();
+}
+
+function inBounds(row, col) {
+    return row >= 0 && row <= 7 && col >= 0 && col <= 7;
+}
+
+function isSquare(square) {
+    return Array.isArray(square) && square.length === 2 &&
+        Number.isInteger(square[0]) && Number.isInteger(square[1]) &&
+        inBounds(square[0], square[1]);
+}
+
+function cloneBoard(board) {
+    return board.map(row => row.slice());
+}
+
+function findKing(board, color) {
+    const king = pieceFor('k', color);
+    for (let row = 0; row < 8; row++) {
+        for (let col = 0; col < 8; col++) {
+            if (board[row][col] === king) return [row, col];
+        }
+    }
+    return null;
+}
+
+// Attack detection
+function isSquareAttacked(board, row, col, byColor) {
+    // Pawns attack diagonally towards the opponent's side
+    const pawnRow = byColor === 'white' ? row + 1 : row - 1;
+    const pawn = pieceFor('p', byColor);
+    for (const dc of [-1, 1]) {
+        if (inBounds(pawnRow, col + dc) && board[pawnRow][col + dc] === pawn) return true;
+    }
+
+    const knight = pieceFor('n', byColor);
+    for (const [dr, dc] of KNIGHT_OFFSETS) {
+        if (inBounds(row + dr, col + dc) && board[row + dr][col + dc] === knight) return true;
+    }
+
+    const king = pieceFor('k', byColor);
+    for (const [dr, dc] of KING_OFFSETS) {
+        if (inBounds(row + dr, col + dc) && board[row + dr][col + dc] === king) return true;
+    }
+
+    const sliders = [
+        [ROOK_DIRECTIONS, [pieceFor('r', byColor), pieceFor('q', byColor)]],
+        [BISHOP_DIRECTIONS, [pieceFor('b', byColor), pieceFor('q', byColor)]]
+    ];
+    for (const [directions, attackers] of sliders) {
+        for (const [dr, dc] of directions) {
+            let r = row + dr;
+            let c = col + dc;
+            while (inBounds(r, c)) {
+                const piece = board[r][c];
+                if (piece) {
+                    if (attackers.includes(piece)) return true;
+                    break;
+                }
+                r += dr;
+                c += dc;
+            }
+        }
+    }
+
+    return false;
+}
+
+function isInCheck(board, color) {
+    const king = findKing(board, color);
+    return king ? isSquareAttacked(board, king[0], king[1], opposite(color)) : false;
+}
+
+// Move generation
+function pseudoLegalMoves(game, row, col) {
+    const { board } = game;
+    const piece = board[row][col];
+    if (!piece) return [];
+
+    const color = colorOf(piece);
+    const type = piece.toLowerCase();
+    const moves = [];
+
+    const isEnemy = (r, c) => board[r][c] && colorOf(board[r][c]) !== color;
+    const addStep = (r, c) => {
+        if (inBounds(r, c) && (!board[r][c] || isEnemy(r, c))) {
+            moves.push({ from: [row, col], to: [r, c] });
+        }
+    };
+    const addSlides = (directions) => {
+        for (const [dr, dc] of directions) {
+            let r = row + dr;
+            let c = col + dc;
+            while (inBounds(r, c)) {
+                if (board[r][c]) {
+                    if (isEnemy(r, c)) moves.push({ from: [row, col], to: [r, c] });
+                    break;
+                }
+                moves.push({ from: [row, col], to: [r, c] });
+                r += dr;
+                c += dc;
+            }
+        }
+    };
+
+    switch (type) {
+        case 'p': {
+            const direction = color === 'white' ? -1 : 1;
+            const startRow = color === 'white' ? 6 : 1;
+            const promotionRow = color === 'white' ? 0 : 7;
+            const addPawnMove = (to, extra = {}) => {
+                if (to[0] === promotionRow) {
+                    for (const promotion of PROMOTION_PIECES) {
+                        moves.push({ from: [row, col], to, promotion, ...extra });
+                    }
+                } else {
+                    moves.push({ from: [row, col], to, ...extra });
+                }
+            };
+
+            const oneStep = row + direction;
+            if (inBounds(oneStep, col) && !board[oneStep][col]) {
+                addPawnMove([oneStep, col]);
+                const twoStep = row + 2 * direction;
+                if (row === startRow && !board[twoStep][col]) {
+                    addPawnMove([twoStep, col]);
+                }
+            }
+
+            for (const dc of [-1, 1]) {
+                const c = col + dc;
+                if (!inBounds(oneStep, c)) continue;
+                if (isEnemy(oneStep, c)) {
+                    addPawnMove([oneStep, c]);
+                } else if (game.enPassant && game.enPassant[0] === oneStep && game.enPassant[1] === c) {
+                    addPawnMove([oneStep, c], { enPassant: true });
+                }
+            }
+            break;
+        }
+
+        case 'n':
+            for (const [dr, dc] of KNIGHT_OFFSETS) addStep(row + dr, col + dc);
+            break;
+
+        case 'b':
+            addSlides(BISHOP_DIRECTIONS);
+            break;
+
+        case 'r':
+            addSlides(ROOK_DIRECTIONS);
+            break;
+
+        case 'q':
+            addSlides(ROOK_DIRECTIONS);
+            addSlides(BISHOP_DIRECTIONS);
+            break;
+
+        case 'k': {
+            for (const [dr, dc] of KING_OFFSETS) addStep(row + dr, col + dc);
+
+            // Castling: king and rook unmoved, squares between empty, king never passes through check
+            const homeRow = color === 'white' ? 7 : 0;
+            const rights = game.castling || '';
+            const enemy = opposite(color);
+            if (row !== homeRow || col !== 4 || isSquareAttacked(board, row, col, enemy)) break;
+
+            if (rights.includes(pieceFor('k', color)) &&
+                board[homeRow][7] === pieceFor('r', color) &&
+                !board[homeRow][5] && !board[homeRow][6] &&
+                !isSquareAttacked(board, homeRow, 5, enemy) && !isSquareAttacked(board, homeRow, 6, enemy)) {
+                moves.push({ from: [row, col], to: [homeRow, 6], castle: 'kingside' });
+            }
+            if (rights.includes(pieceFor('q', color)) &&
+                board[homeRow][0] === pieceFor('r', color) &&
+                !board[homeRow][1] && !board[homeRow][2] && !board[homeRow][3] &&
+                !isSquareAttacked(board, homeRow, 3, enemy) && !isSquareAttacked(board, homeRow, 2, enemy)) {
+                moves.push({ from: [row, col], to: [homeRow, 2], castle: 'queenside' });
+            }
+            break;
+        }
+    }
+
+    return moves;
+}
+
+// Returns a new board with the move applied, including rook hops, en passant and promotion
+function applyMoveToBoard(board, move) {
+    const next = cloneBoard(board);
+    const [fromRow, fromCol] = move.from;
+    const [toRow, toCol] = move.to;
+    const piece = next[fromRow][fromCol];
+    const color = colorOf(piece);
+
+    next[toRow][toCol] = move.promotion ? pieceFor(move.promotion, color) : piece;
+    next[fromRow][fromCol] = null;
+
+    if (move.enPassant) {
+        next[fromRow][toCol] = null;
+    }
+    if (move.castle === 'kingside') {
+        next[toRow][5] = next[toRow][7];
+        next[toRow][7] = null;
+    } else if (move.castle === 'queenside') {
+        next[toRow][3] = next[toRow][0];
+        next[toRow][0] = null;
+    }
+
+    return next;
+}
+
+function legalMovesFrom(game, row, col) {
+    const piece = game.board[row][col];
+    if (!piece) return [];
+
+    const color = colorOf(piece);
+    return pseudoLegalMoves(game, row, col)
+        .filter(move => !isInCheck(applyMoveToBoard(game.board, move), color));
+}
+
+function legalMoves(game, color = game.currentTurn) {
+    const moves = [];
+    for (let row = 0; row < 8; row++) {
+        for (let col = 0; col < 8; col++) {
+            const piece = game.board[row][col];
+            if (piece && colorOf(piece) === color) {
+                moves.push(...legalMovesFrom(game, row, col));
+            }
+        }
+    }
+    return moves;
+}
+
+function findLegalMove(game, from, to, promotion) {
+    if (!isSquare(from) || !isSquare(to)) return null;
+
+    const piece = game.board[from[0]][from[1]];
+    if (!piece || colorOf(piece) !== game.currentTurn) return null;
+
+    // Promotion defaults to a queen when the client doesn't choose
+    const promoteTo = typeof promotion === 'string' ? promotion.toLowerCase() : 'q';
+
+    return legalMovesFrom(game, from[0], from[1]).find(move =>
+        move.to[0] === to[0] && move.to[1] === to[1] &&
+        (!move.promotion || move.promotion === promoteTo)
+    ) || null;
+}
+
+function isValidMove(game, from, to, promotion) {
+    return game.gameStatus === 'active' && findLegalMove(game, from, to, promotion) !== null;
+}
+
+// Position after a legal move: board, castling rights, en passant square, clocks and side to move.
+// Used directly by the bot's search, which doesn't need history or notation.
+function nextPosition(position, move) {
+    const [fromRow, fromCol] = move.from;
+    const [toRow, toCol] = move.to;
+    const piece = position.board[fromRow][fromCol];
+    const color = colorOf(piece);
+    const capturedPiece = move.enPassant ? position.board[fromRow][toCol] : position.board[toRow][toCol];
+
+    // Moving the king or a rook, or losing a rook on its corner, forfeits castling on that side
+    let castling = position.castling || '';
+    const strip = (rights) => { castling = castling.replace(new RegExp(`[${rights}]`, 'g'), ''); };
+    if (piece.toLowerCase() === 'k') strip(color === 'white' ? 'KQ' : 'kq');
+    const corners = { '7,0': 'Q', '7,7': 'K', '0,0': 'q', '0,7': 'k' };
+    if (corners[`${fromRow},${fromCol}`]) strip(corners[`${fromRow},${fromCol}`]);
+    if (corners[`${toRow},${toCol}`]) strip(corners[`${toRow},${toCol}`]);
+
+    return {
+        board: applyMoveToBoard(position.board, move),
+        castling,
+        enPassant: piece.toLowerCase() === 'p' && Math.abs(toRow - fromRow) === 2
+            ? [(fromRow + toRow) / 2, fromCol]
+            : null,
+        halfmoveClock: piece.toLowerCase() === 'p' || capturedPiece ? 0 : position.halfmoveClock + 1,
+        fullmoveNumber: color === 'black' ? position.fullmoveNumber + 1 : position.fullmoveNumber,
+        currentTurn: opposite(color)
+    };
+}
+
+// Plays a legal move, updating board, castling rights, en passant, clocks and history.
+// Returns the history entry, or null if the move is illegal.
+function makeMove(game, from, to, promotion) {
+    const move = findLegalMove(game, from, to, promotion);
+    if (!move) return null;
+
+    const [fromRow, fromCol] = move.from;
+    const [toRow, toCol] = move.to;
+    const piece = game.board[fromRow][fromCol];
+    const color = colorOf(piece);
+    const capturedPiece = move.enPassant ? game.board[fromRow][toCol] : game.board[toRow][toCol];
+
+    const san = moveToSAN(game, move);
+    Object.assign(game, nextPosition(game, move));
+
+    const entry = {
+        from: move.from,
+        to: move.to,
+        piece,
+        capturedPiece,
+        san,
+        timestamp: new Date().toISOString()
+    };
+    if (move.promotion) entry.promotion = pieceFor(move.promotion, color);
+    if (move.castle) entry.castle = move.castle;
+    if (move.enPassant) entry.enPassant = true;
+    if (isInCheck(game.board, game.currentTurn)) {
+        entry.check = true;
+        entry.san += legalMoves(game).length === 0 ? '#' : '+';
+    }
+
+    game.moveHistory.push(entry);
+    game.positionHistory.push(positionKey(game));
+    if (!game.movedColors.includes(color)) game.movedColors.push(color);
+
+    return entry;
+}
+
+// Notation helpers
+function squareName([row, col]) {
+    return `${FILES[col]}${8 - row}`;
+}
+
+function parseSquare(name) {
+    if (!/^[a-h][1-8]$/.test(name)) return null;
+    return [8 - parseInt(name[1]), FILES.indexOf(name[0])];
+}
+
+// Standard algebraic notation for a legal move, without the check suffix
+function moveToSAN(game, move) {
+    if (move.castle) return move.castle === 'kingside' ? 'O-O' : 'O-O-O';
+
+    const [fromRow, fromCol] = move.from;
+    const piece = game.board[fromRow][fromCol];
+    const type = piece.toLowerCase();
+    const isCapture = move.enPassant || game.board[move.to[0]][move.to[1]] !== null;
+    const target = squareName(move.to);
+
+    if (type === 'p') {
+        const capture = isCapture ? `${FILES[fromCol]}x` : '';
+        const promotion = move.promotion ? `=${move.promotion.toUpperCase()}` : '';
+        return `${capture}${target}${promotion}`;
+    }
+
+    // Disambiguate between identical pieces that can reach the same square
+    const rivals = legalMoves(game, colorOf(piece)).filter(other =>
+        other.to[0] === move.to[0] && other.to[1] === move.to[1] &&
+        (other.from[0] !== fromRow || other.from[1] !== fromCol) &&
+        game.board[other.from[0]][other.from[1]] === piece
+    );
+    let disambiguation = '';
+    if (rivals.length > 0) {
+        if (rivals.every(other => other.from[1] !== fromCol)) {
+            disambiguation = FILES[fromCol];
+        } else if (rivals.every(other => other.from[0] !== fromRow)) {
+            disambiguation = String(8 - fromRow);
+        } else {
+            disambiguation = squareName(move.from);
+        }
+    }
+
+    return `${type.toUpperCase()}${disambiguation}${isCapture ? 'x' : ''}${target}`;
+}
+
+// Position identity for repetition: placement, side to move, castling and a capturable en passant square
+function boardToPlacement(board) {
+    return board.map(row => {
+        let rank = '';
+        let empty = 0;
+        for (const piece of row) {
+            if (piece) {
+                rank += (empty || '') + piece;
+                empty = 0;
+            } else {
+                empty++;
+            }
+        }
+        return rank + (empty || '');
+    }).join('/');
+}
+
+function positionKey(game) {
+    let enPassant = '-';
+    if (game.enPassant) {
+        const canCapture = legalMoves(game).some(move => move.enPassant);
+        if (canCapture) enPassant = game.enPassant.join(',');
+    }
+    return `${boardToPlacement(game.board)} ${game.currentTurn[0]} ${game.castling || '-'} ${enPassant}`;
+}
+
+// FEN export of the current position
+function toFEN(game) {
+    return [
+        boardToPlacement(game.board),
+        game.currentTurn === 'white' ? 'w' : 'b',
+        game.castling || '-',
+        game.enPassant ? squareName(game.enPassant) : '-',
+        game.halfmoveClock,
+        game.fullmoveNumber
+    ].join(' ');
+}
+
+// Parses and sanity-checks a FEN string into engine state, throwing FenError if it is unusable
+function parseFEN(fen) {
+    if (typeof fen !== 'string') throw new FenError('FEN must be a string');
+
+    const fields = fen.trim().split(/\s+/);
+    if (fields.length !== 4 && fields.length !== 6) {
+        throw new FenError('FEN must have 4 or 6 fields');
+    }
+    const [placement, turn, castlingField, enPassantField, halfmove = '0', fullmove = '1'] = fields;
+
+    const ranks = placement.split('/');
+    if (ranks.length !== 8) throw new FenError('FEN board must have 8 ranks');
+
+    const board = ranks.map(rank => {
+        const row = [];
+        for (const char of rank) {
+            if (/[1-8]/.test(char)) {
+                for (let i = 0; i < parseInt(char); i++) row.push(null);
+            } else if (/[pnbrqkPNBRQK]/.test(char)) {
+                row.push(char);
+            } else {
+                throw new FenError(`Unexpected character "${char}" in FEN board`);
+            }
+        }
+        if (row.length !== 8) throw new FenError('Every FEN rank must describe 8 squares');
+        return row;
+    });
+
+    const count = (piece) => board.flat().filter(square => square === piece).length;
+    if (count('K') !== 1 || count('k') !== 1) {
+        throw new FenError('Each side must have exactly one king');
+    }
+    if ([...board[0], ...board[7]].some(square => square && square.toLowerCase() === 'p')) {
+        throw new FenError('Pawns cannot stand on the first or last rank');
+    }
+
+    if (turn !== 'w' && turn !== 'b') throw new FenError('Side to move must be "w" or "b"');
+    const currentTurn = turn === 'w' ? 'white' : 'black';
+    if (isInCheck(board, opposite(currentTurn))) {
+        throw new FenError('The side not to move cannot be in check');
+    }
+
+    if (!/^(-|K?Q?k?q?)$/.test(castlingField) || castlingField === '') {
+        throw new FenError('Invalid castling field');
+    }
+    // Drop rights the pieces on the board can no longer support
+    const castling = [...(castlingField === '-' ? '' : castlingField)].filter(right => {
+        const homeRow = right === right.toUpperCase() ? 7 : 0;
+        const rookCol = right.toLowerCase() === 'k' ? 7 : 0;
+        const color = homeRow === 7 ? 'white' : 'black';
+        return board[homeRow][4] === pieceFor('k', color) && board[homeRow][rookCol] === pieceFor('r', color);
+    }).join('');
+
+    let enPassant = null;
+    if (enPassantField !== '-') {
+        enPassant = parseSquare(enPassantField);
+        const expectedRow = currentTurn === 'white' ? 2 : 5;
+        if (!enPassant || enPassant[0] !== expectedRow) {
+            throw new FenError('Invalid en passant square');
+        }
+    }
+
+    const halfmoveClock = parseInt(halfmove);
+    const fullmoveNumber = parseInt(fullmove);
+    if (!/^\d+$/.test(halfmove) || !/^\d+$/.test(fullmove) || fullmoveNumber < 1) {
+        throw new FenError('Invalid move counters');
+    }
+
+    return { board, currentTurn, castling, enPassant, halfmoveClock, fullmoveNumber };
+}
+
+// Kings alone, a single minor piece, or bishops all on one square colour can never mate
+function hasInsufficientMaterial(board) {
+    const minors = [];
+    for (let row = 0; row < 8; row++) {
+        for (let col = 0; col < 8; col++) {
+            const piece = board[row][col];
+            if (!piece || piece.toLowerCase() === 'k') continue;
+            if ('pqr'.includes(piece.toLowerCase())) return false;
+            minors.push({ type: piece.toLowerCase(), squareColor: (row + col) % 2 });
+        }
+    }
+
+    if (minors.length <= 1) return true;
+    return minors.every(minor => minor.type === 'b' && minor.squareColor === minors[0].squareColor);
+}
+
+// Whether `color` could still deliver mate by some sequence of legal moves. A lone
+// minor piece needs enemy pieces to block its own king in, so it counts only then.
+function canCheckmate(board, color) {
+    if (hasInsufficientMaterial(board)) return false;
+
+    const own = [];
+    let enemyPieces = 0;
+    for (const piece of board.flat()) {
+        if (!piece || piece.toLowerCase() === 'k') continue;
+        if (colorOf(piece) === color) own.push(piece.toLowerCase());
+        else enemyPieces++;
+    }
+
+    if (own.length === 0) return false;
+    if (own.some(type => 'pqr'.includes(type)) || own.length > 1) return true;
+    return enemyPieces > 0;
+}
+
+// Marks the game finished if the side to move has no way to continue.
+// Returns { gameStatus, winner, reason } when the game ended, otherwise null.
+function checkGameEnd(game) {
+    if (game.gameStatus !== 'active') return null;
+
+    const color = game.currentTurn;
+    let result = null;
+
+    if (legalMoves(game, color).length === 0) {
+        result = isInCheck(game.board, color)
+            ? { winnerColor: opposite(color), reason: 'checkmate' }
+            : { winnerColor: null, reason: 'stalemate' };
+    } else if (hasInsufficientMaterial(game.board)) {
+        result = { winnerColor: null, reason: 'insufficient_material' };
+    } else if (game.halfmoveClock >= 100) {
+        result = { winnerColor: null, reason: 'fifty_move_rule' };
+    } else {
+        const current = game.positionHistory[game.positionHistory.length - 1];
+        const occurrences = game.positionHistory.filter(key => key === current).length;
+        if (occurrences >= 3) {
+            result = { winnerColor: null, reason: 'threefold_repetition' };
+        }
+    }
+
+    if (!result) return null;
+    return endGame(game, result.winnerColor, result.reason);
+}
+
+// Finishes the game with the given winning colour (null for a draw)
+function endGame(game, winnerColor, reason) {
+    game.gameStatus = winnerColor ? `${winnerColor}_wins` : 'draw';
+    game.winner = winnerColor === 'white' ? game.whitePlayer
+        : winnerColor === 'black' ? game.blackPlayer
+        : null;
+    game.endReason = reason;
+
+    return { gameStatus: game.gameStatus, winner: game.winner, reason };
+}
+
+// PGN export. Moves are replayed from the starting position so older
+// history entries without SAN are still written correctly.
+const PGN_RESULTS = { white_wins: '1-0', black_wins: '0-1', draw: '1/2-1/2' };
+
+function formatPGNDate(value) {
+    const date = value ? new Date(value) : null;
+    if (!date || isNaN(date)) return '????.??.??';
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getUTCFullYear()}.${pad(date.getUTCMonth() + 1)}.${pad(date.getUTCDate())}`;
+}
+
+function toPGN(record, headers = {}) {
+    const game = createNewChessGame(record.white_player, record.black_player, { fen: record.start_fen });
+    const result = PGN_RESULTS[record.game_status] || '*';
+
+    const tags = {
+        Event: record.rated ? 'Rated game' : 'Casual game',
+        Site: 'Chat',
+        Date: formatPGNDate(record.created_at),
+        Round: '-',
+        White: record.white_player,
+        Black: record.black_player,
+        Result: result,
+        ...headers
+    };
+    if (record.start_fen) {
+        tags.SetUp = '1';
+        tags.FEN = record.start_fen;
+    }
+
+    const tokens = [];
+    for (const [index, entry] of (record.move_history || []).entries()) {
+        const number = game.fullmoveNumber;
+        const isWhite = game.currentTurn === 'white';
+        const played = makeMove(game, entry.from, entry.to, entry.promotion);
+        if (!played) break;
+
+        if (isWhite) tokens.push(`${number}.`);
+        else if (index === 0) tokens.push(`${number}...`);
+        tokens.push(played.san);
+    }
+    tokens.push(result);
+
+    // Wrap movetext at 80 columns as the PGN export format asks
+    const lines = [];
+    let line = '';
+    for (const token of tokens) {
+        if (line && line.length + token.length + 1 > 80) {
+            lines.push(line);
+            line = token;
+        } else {
+            line = line ? `${line} ${token}` : token;
+        }
+    }
+    lines.push(line);
+
+    const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    const tagLines = Object.entries(tags).map(([name, value]) => `[${name} "${escape(value)}"]`);
+
+    return `${tagLines.join('\n')}\n\n${lines.join('\n')}\n`;
+}
+
+// Ends the game with no result, as if it had never been played
+function abortGame(game) {
+    game.gameStatus = 'aborted';
+    game.winner = null;
+    game.endReason = 'aborted';
+
+    return { gameStatus: game.gameStatus, winner: null, reason: 'aborted' };
+}
+
+// Whether white and black have each made a move. Takebacks don't undo this, so a game that got
+// going can't be aborted afterwards; games set up with black to move count black's first move.
+function bothSidesMoved(game) {
+    return game.movedColors.includes('white') && game.movedColors.includes('black');
+}
+
+// Undoes the last `plies` moves by replaying the rest from the starting position.
+// Returns the removed history entries.
+function takeBack(game, plies) {
+    const kept = game.moveHistory.slice(0, game.moveHistory.length - plies);
+    const removed = game.moveHistory.slice(kept.length);
+
+    const replay = createNewChessGame(game.whitePlayer, game.blackPlayer, { fen: game.startFen });
+    for (const entry of kept) {
+        makeMove(replay, entry.from, entry.to, entry.promotion);
+    }
+
+    Object.assign(game, {
+        board: replay.board,
+        currentTurn: replay.currentTurn,
+        castling: replay.castling,
+        enPassant: replay.enPassant,
+        halfmoveClock: replay.halfmoveClock,
+        fullmoveNumber: replay.fullmoveNumber,
+        positionHistory: replay.positionHistory,
+        moveHistory: kept
+    });
+
+    return removed;
+}
+
+// Engine state that has to be persisted alongside the board
+function getRulesState(game) {
+    return {
+        castling: game.castling,
+        enPassant: game.enPassant,
+        halfmoveClock: game.halfmoveClock,
+        fullmoveNumber: game.fullmoveNumber,
+        positionHistory: game.positionHistory,
+        movedColors: game.movedColors
+    };
+}
+
+// Rebuilds an in-memory game from a chess_games row
+function restoreGame(record) {
+    const rules = record.rules_state || {};
+    const board = record.board_state;
+    const moveHistory = record.move_history || [];
+
+    // Rows saved before rules_state existed: assume rights for any unmoved king and rook
+    let castling = rules.castling;
+    if (castling === undefined) {
+        castling = '';
+        if (board[7][4] === 'K' && board[7][7] === 'R') castling += 'K';
+        if (board[7][4] === 'K' && board[7][0] === 'R') castling += 'Q';
+        if (board[0][4] === 'k' && board[0][7] === 'r') castling += 'k';
+        if (board[0][4] === 'k' && board[0][0] === 'r') castling += 'q';
+    }
+
+    const game = {
+        whitePlayer: record.white_player,
+        blackPlayer: record.black_player,
+        currentTurn: record.current_turn,
+        board,
+        gameStatus: record.game_status,
+        winner: record.winner || null,
+        endReason: record.end_reason || null,
+        moveHistory,
+        castling,
+        enPassant: rules.enPassant || null,
+        halfmoveClock: rules.halfmoveClock || 0,
+        fullmoveNumber: rules.fullmoveNumber || Math.floor(moveHistory.length / 2) + 1,
+        positionHistory: rules.positionHistory || [],
+        // Rows saved before movedColors existed: whoever has a move in the history
+        movedColors: rules.movedColors || Array.from(new Set(moveHistory.map(entry => colorOf(entry.piece)))),
+        startFen: record.start_fen || null,
+        clock: record.clock_state || null,
+        botLevel: record.bot_level || null,
+        rated: Boolean(record.rated)
+    };
+    if (game.positionHistory.length === 0) {
+        game.positionHistory.push(positionKey(game));
+    }
+    return game;
+}
+
+module.exports = {
+    FenError,
+    STANDARD_FEN,
+    createNewChessGame,
+    restoreGame,
+    nextPosition,
+    isValidMove,
+    makeMove,
+    checkGameEnd,
+    endGame,
+    abortGame,
+    bothSidesMoved,
+    takeBack,
+    legalMoves,
+    isInCheck,
+    hasInsufficientMaterial,
+    canCheckmate,
+    boardToPlacement,
+    toFEN,
+    parseFEN,
+    toPGN,
+    squareName,
+    getRulesState,
+    colorOf,
+    opposite
+};
@@ -0,0 +1,122 @@
+// Chess clocks: time control parsing and each side's remaining time.
+// Real-time controls use minutes plus an increment per move ("5+3"); correspondence
+// controls give a fixed number of days for every move ("3d").
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const MAX_INITIAL_MINUTES = 180;
+const MAX_INCREMENT_SECONDS = 60;
+const MAX_DAYS_PER_MOVE = 14;
+
+// Raised for time controls the server won't run
+class TimeControlError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TimeControlError';
+    }
+}
+
+// Accepts "5+3", "3d", { initial, increment } (seconds) or { daysPerMove }.
+// Returns null for untimed games.
+function parseTimeControl(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    let minutes, incrementSeconds, days;
+    if (typeof value === 'string') {
+        const realtime = value.match(/^(\d+(?:\.\d+)?)\+(\d+)$/);
+        const correspondence = value.match(/^(\d+)d$/);
+        if (realtime) {
+            minutes = parseFloat(realtime[1]);
+            incrementSeconds = parseInt(realtime[2]);
+        } else if (correspondence) {
+            days = parseInt(correspondence[1]);
+        } else {
+            throw new TimeControlError('Time control must look like "5+3" or "3d"');
+        }
+    } else if (typeof value === 'object') {
+        if (value.daysPerMove !== undefined) {
+            days = Number(value.daysPerMove);
+        } else {
+            minutes = Number(value.initial) / 60;
+            incrementSeconds = Number(value.increment || 0);
+        }
+    } else {
+        throw new TimeControlError('Unsupported time control');
+    }
+
+    if (days !== undefined) {
+        if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS_PER_MOVE) {
+            throw new TimeControlError(`Correspondence games allow 1-${MAX_DAYS_PER_MOVE} days per move`);
+        }
+        return { type: 'correspondence', daysPerMove: days, label: `${days}d` };
+    }
+
+    if (!(minutes > 0) || minutes > MAX_INITIAL_MINUTES) {
+        throw new TimeControlError(`Initial time must be between 0 and ${MAX_INITIAL_MINUTES} minutes`);
+    }
+    if (!Number.isInteger(incrementSeconds) || incrementSeconds < 0 || incrementSeconds > MAX_INCREMENT_SECONDS) {
+        throw new TimeControlError(`Increment must be 0-${MAX_INCREMENT_SECONDS} seconds`);
+    }
+    return {
+        type: 'realtime',
+        initialMs: Math.round(minutes * MINUTE),
+        incrementMs: incrementSeconds * 1000,
+        label: `${minutes}+${incrementSeconds}`
+    };
+}
+
+function allowance(timeControl) {
+    return timeControl.type === 'correspondence' ? timeControl.daysPerMove * DAY : timeControl.initialMs;
+}
+
+function createClock(timeControl, now = Date.now()) {
+    return {
+        timeControl,
+        white: allowance(timeControl),
+        black: allowance(timeControl),
+        turnStartedAt: now
+    };
+}
+
+// Milliseconds left for `color`; the side to move is charged for time since its turn began
+function remaining(clock, color, turnColor, now = Date.now()) {
+    const left = color === turnColor ? clock[color] - (now - clock.turnStartedAt) : clock[color];
+    return Math.max(0, left);
+}
+
+// Stops `color`'s clock after it moved and starts the opponent's
+function punch(clock, color, now = Date.now()) {
+    if (clock.timeControl.type === 'correspondence') {
+        clock[color] = allowance(clock.timeControl);
+    } else {
+        clock[color] = remaining(clock, color, color, now) + clock.timeControl.incrementMs;
+    }
+    clock.turnStartedAt = now;
+}
+
+// Charges `color` for its time so far without adding an increment, e.g. before a takeback
+function charge(clock, color, now = Date.now()) {
+    clock[color] = remaining(clock, color, color, now);
+    clock.turnStartedAt = now;
+}
+
+// Client-facing view of both clocks at `now`
+function snapshot(clock, turnColor, now = Date.now()) {
+    return {
+        timeControl: clock.timeControl.label,
+        white: remaining(clock, 'white', turnColor, now),
+        black: remaining(clock, 'black', turnColor, now),
+        running: turnColor
+    };
+}
+
+module.exports = {
+    TimeControlError,
+    parseTimeControl,
+    createClock,
+    remaining,
+    punch,
+    charge,
+    snapshot
+};
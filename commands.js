@@ -0,0 +1,228 @@
+// Slash commands typed into the chat input. A chat message starting with / runs the command it
+// names instead of being posted. Each command gets a context from the server holding the caller,
+// the channel they typed in and the actions open to them; it can reply privately to the caller
+// (ctx.reply) or post a system message to the channel (ctx.postSystem).
+const moderation = require('./moderation');
+const presence = require('./presence');
+
+const COMMAND_PATTERN = /^\/([a-z]+)(?:\s+([\s\S]*))?$/i;
+const DICE_PATTERN = /^(\d{1,2})?d(\d{1,4})$/i;
+const MAX_DICE = 20;
+const MAX_SIDES = 1000;
+
+// Raised for commands that can't be run as typed; `usage` is shown with the message
+class CommandError extends Error {
+    constructor(message, usage = null) {
+        super(message);
+        this.name = 'CommandError';
+        this.usage = usage;
+    }
+}
+
+const registry = new Map(); // name -> command
+
+// `role` is the lowest role that may run the command. Commands that put something in the chat are
+// marked `posts`, so muted and banned users can't run them.
+function register({ name, usage, description, role = 'member', posts = false, run }) {
+    registry.set(name, { name, usage, description, role, posts, run });
+}
+
+function isCommand(text) {
+    return typeof text === 'string' && COMMAND_PATTERN.test(text.trim());
+}
+
+// Splits a command into its name and arguments. Arguments are separated by spaces unless quoted;
+// rest(n) is everything after the first n arguments exactly as typed.
+function parse(text) {
+    const [, name, input = ''] = text.trim().match(COMMAND_PATTERN);
+    const tokens = Array.from(input.matchAll(/"([^"]*)"|(\S+)/g), match => ({
+        value: match[1] !== undefined ? match[1] : match[2],
+        end: match.index + match[0].length
+    }));
+
+    return {
+        name: name.toLowerCase(),
+        args: tokens.map(token => token.value),
+        rest: (count) => (count === 0 ? input : tokens[count - 1] ? input.slice(tokens[count - 1].end) : '').trim()
+    };
+}
+
+// Runs `text` as a command. `ctx.account` is the caller's stored user row, used for role checks.
+async function run(text, ctx) {
+    const parsed = parse(text);
+    const command = registry.get(parsed.name);
+    if (!command) {
+        throw new CommandError(`Unknown command /${parsed.name}, type /help to see them all`);
+    }
+    if (!moderation.hasRole(ctx.account, command.role)) {
+        throw new CommandError(`/${command.name} is only for ${command.role}s and above`);
+    }
+    if (command.posts) await moderation.requireCanPost(ctx.user);
+
+    await command.run(parsed, ctx, command);
+}
+
+// A username, with or without a leading @
+function mention(arg) {
+    return arg.replace(/^@/, '');
+}
+
+function usageError(command, message = 'Missing arguments') {
+    return new CommandError(message, command.usage);
+}
+
+function available(account) {
+    return Array.from(registry.values()).filter(command => moderation.hasRole(account, command.role));
+}
+
+register({
+    name: 'help',
+    usage: '/help [command]',
+    description: 'List commands, or explain one',
+    async run({ args }, ctx) {
+        if (args[0]) {
+            const command = registry.get(args[0].replace(/^\//, '').toLowerCase());
+            if (!command || !moderation.hasRole(ctx.account, command.role)) {
+                throw new CommandError(`Unknown command ${args[0]}`);
+            }
+            return ctx.reply(`${command.usage} - ${command.description}`);
+        }
+        ctx.reply(available(ctx.account).map(command => `${command.usage} - ${command.description}`).join('\n'));
+    }
+});
+
+register({
+    name: 'me',
+    usage: '/me <action>',
+    description: 'Describe what you are doing, e.g. /me waves',
+    posts: true,
+    async run({ rest }, ctx, command) {
+        if (!rest(0)) throw usageError(command);
+        await ctx.postAction(rest(0));
+    }
+});
+
+register({
+    name: 'msg',
+    usage: '/msg <user> <message>',
+    description: 'Send a private message',
+    posts: true,
+    async run({ args, rest }, ctx, command) {
+        if (!args[0] || !rest(1)) throw usageError(command);
+        await ctx.sendPrivateMessage(mention(args[0]), rest(1));
+    }
+});
+
+register({
+    name: 'chess',
+    usage: '/chess <user> [time control] [rated]',
+    description: 'Invite someone to a game of chess, e.g. /chess alice 5+3 rated',
+    async run({ args }, ctx, command) {
+        const [opponent, ...options] = args;
+        if (!opponent) throw usageError(command);
+
+        // Invites that can't be sent are explained by a `chess invite error`
+        const rated = options.includes('rated');
+        const timeControl = options.find(option => option !== 'rated') || null;
+        if (await ctx.inviteToChess(mention(opponent), { timeControl, rated })) {
+            ctx.reply(`Invited ${mention(opponent)} to a${rated ? ' rated' : ''} game of chess`);
+        }
+    }
+});
+
+register({
+    name: 'roll',
+    usage: '/roll [dice]',
+    description: 'Roll dice for the channel to see, e.g. /roll 2d6 (default 1d6)',
+    posts: true,
+    async run({ args }, ctx, command) {
+        const match = (args[0] || 'd6').match(DICE_PATTERN);
+        const count = match ? parseInt(match[1] || '1') : 0;
+        const sides = match ? parseInt(match[2]) : 0;
+        if (count < 1 || count > MAX_DICE || sides < 2 || sides > MAX_SIDES) {
+            throw usageError(command, `Roll 1-${MAX_DICE} dice with 2-${MAX_SIDES} sides, like 2d6`);
+        }
+
+        const rolls = Array.from({ length: count }, () => 1 + Math.floor(Math.random() * sides));
+        const total = rolls.reduce((sum, roll) => sum + roll, 0);
+        const detail = count > 1 ? `${rolls.join(' + ')} = ${total}` : String(total);
+        await ctx.postSystem(`${ctx.user.username} rolled ${count}d${sides}: ${detail}`);
+    }
+});
+
+register({
+    name: 'topic',
+    usage: '/topic [new topic]',
+    description: 'Show the channel topic, or change it (channel creator and moderators)',
+    async run({ rest }, ctx) {
+        if (!rest(0)) {
+            const channel = await ctx.getChannel();
+            return ctx.reply(channel.topic ? `#${channel.name}: ${channel.topic}` : `#${channel.name} has no topic`);
+        }
+        // Changing it announces the new topic in the channel, so it counts as posting
+        await moderation.requireCanPost(ctx.user);
+        await ctx.setTopic(rest(0));
+    }
+});
+
+register({
+    name: 'status',
+    usage: `/status <${presence.STATUSES.join('|')}>`,
+    description: 'Set your status',
+    async run({ args }, ctx, command) {
+        const status = (args[0] || '').toLowerCase();
+        if (!presence.isStatus(status)) {
+            throw usageError(command, `Status must be one of ${presence.STATUSES.join(', ')}`);
+        }
+        await ctx.setStatus(status);
+        ctx.reply(`Your status is now ${status}`);
+    }
+});
+
+register({
+    name: 'mute',
+    usage: '/mute <user> <minutes> [reason]',
+    description: 'Stop someone posting for a while',
+    role: 'moderator',
+    async run({ args, rest }, ctx, command) {
+        if (!args[0] || !args[1]) throw usageError(command);
+        const entry = await ctx.moderate('mute', mention(args[0]), { minutes: args[1], reason: rest(2) });
+        ctx.reply(`Muted ${entry.target_username} for ${entry.details.minutes} minutes`);
+    }
+});
+
+register({
+    name: 'kick',
+    usage: '/kick <user> [reason]',
+    description: 'Disconnect someone',
+    role: 'moderator',
+    async run({ args, rest }, ctx, command) {
+        if (!args[0]) throw usageError(command);
+        const entry = await ctx.moderate('kick', mention(args[0]), { reason: rest(1) });
+        ctx.reply(`Kicked ${entry.target_username}`);
+    }
+});
+
+register({
+    name: 'ban',
+    usage: '/ban <user> [minutes] [reason]',
+    description: 'Ban someone, for a while or until unbanned',
+    role: 'admin',
+    async run({ args, rest }, ctx, command) {
+        if (!args[0]) throw usageError(command);
+        const timed = /^\d+$/.test(args[1] || '');
+        const entry = await ctx.moderate('ban', mention(args[0]), {
+            minutes: timed ? args[1] : null,
+            reason: rest(timed ? 2 : 1)
+        });
+        ctx.reply(`Banned ${entry.target_username}${timed ? ` for ${args[1]} minutes` : ''}`);
+    }
+});
+
+module.exports = {
+    CommandError,
+    register,
+    isCommand,
+    parse,
+    run
+};
@@ -58,6 +58,238 @@ async function initializeTables() {
             )
         `);
 
+        // Chat channels; messages belong to one unless they are private
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS channels (
+                id SERIAL PRIMARY KEY,
+                name VARCHAR(50) UNIQUE NOT NULL,
+                topic TEXT,
+                is_private BOOLEAN DEFAULT false,
+                created_by VARCHAR(50),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE TABLE IF NOT EXISTS channel_members (
+                channel_id INTEGER REFERENCES channels(id) ON DELETE CASCADE,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (channel_id, user_id)
+            );
+            CREATE TABLE IF NOT EXISTS channel_invites (
+                channel_id INTEGER REFERENCES channels(id) ON DELETE CASCADE,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                invited_by VARCHAR(50) NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (channel_id, user_id)
+            );
+            ALTER TABLE messages ADD COLUMN IF NOT EXISTS channel_id INTEGER REFERENCES channels(id) ON DELETE CASCADE;
+        `);
+
+        // Delivery and read receipts for private messages
+        await client.query(`
+            ALTER TABLE messages ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMP;
+            ALTER TABLE messages ADD COLUMN IF NOT EXISTS read_at TIMESTAMP;
+        `);
+
+        // Thread replies point at the message that started the thread
+        await client.query(`
+            ALTER TABLE messages ADD COLUMN IF NOT EXISTS parent_id INTEGER REFERENCES messages(id) ON DELETE SET NULL;
+        `);
+
+        // Edited messages keep every earlier version of their text
+        await client.query(`
+            ALTER TABLE messages ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP;
+            CREATE TABLE IF NOT EXISTS message_edits (
+                id SERIAL PRIMARY KEY,
+                message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+                message TEXT NOT NULL,
+                replaced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        // Uploaded files; the contents live in the blob store under blob_key
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS attachments (
+                id SERIAL PRIMARY KEY,
+                blob_key CHAR(64) NOT NULL,
+                file_name VARCHAR(255) NOT NULL,
+                mime_type VARCHAR(100) NOT NULL,
+                size_bytes INTEGER NOT NULL,
+                width INTEGER,
+                height INTEGER,
+                thumbnail_key CHAR(64),
+                uploaded_by VARCHAR(50) NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+            ALTER TABLE messages ADD COLUMN IF NOT EXISTS attachment_id INTEGER REFERENCES attachments(id) ON DELETE SET NULL;
+        `);
+
+        // Roles and moderation. The audit log is append-only: rows can't be changed or deleted.
+        await client.query(`
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'member';
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS muted_until TIMESTAMP;
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS banned_at TIMESTAMP;
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS ban_expires_at TIMESTAMP;
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS signed_out_at TIMESTAMP;
+            CREATE TABLE IF NOT EXISTS audit_log (
+                id SERIAL PRIMARY KEY,
+                actor VARCHAR(50) NOT NULL,
+                action VARCHAR(30) NOT NULL,
+                target_username VARCHAR(50),
+                message_id INTEGER,
+                channel_id INTEGER,
+                reason TEXT,
+                details JSONB NOT NULL DEFAULT '{}',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+            BEGIN
+                RAISE EXCEPTION 'audit_log is append-only';
+            END;
+            $$ LANGUAGE plpgsql;
+            DO $$
+            BEGIN
+                IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'audit_log_append_only') THEN
+                    CREATE TRIGGER audit_log_append_only BEFORE UPDATE OR DELETE OR TRUNCATE ON audit_log
+                        FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only();
+                END IF;
+            END $$;
+        `);
+
+        // Webhooks. Bots are users without a password that webhooks post as. Incoming webhooks
+        // store a hash of their token; outgoing ones keep their secret, which signs every delivery.
+        await client.query(`
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS is_bot BOOLEAN NOT NULL DEFAULT false;
+            CREATE TABLE IF NOT EXISTS incoming_webhooks (
+                id SERIAL PRIMARY KEY,
+                name VARCHAR(100) NOT NULL,
+                channel_id INTEGER NOT NULL REFERENCES channels(id) ON DELETE CASCADE,
+                bot_username VARCHAR(50) NOT NULL,
+                token_hash VARCHAR(64) UNIQUE NOT NULL,
+                created_by VARCHAR(50) NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                last_used_at TIMESTAMP
+            );
+            CREATE TABLE IF NOT EXISTS outgoing_webhooks (
+                id SERIAL PRIMARY KEY,
+                name VARCHAR(100) NOT NULL,
+                url TEXT NOT NULL,
+                secret VARCHAR(64) NOT NULL,
+                events TEXT[] NOT NULL,
+                channel_id INTEGER REFERENCES channels(id) ON DELETE CASCADE,
+                bot_username VARCHAR(50),
+                created_by VARCHAR(50) NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE TABLE IF NOT EXISTS webhook_deliveries (
+                id SERIAL PRIMARY KEY,
+                webhook_id INTEGER NOT NULL REFERENCES outgoing_webhooks(id) ON DELETE CASCADE,
+                event VARCHAR(30) NOT NULL,
+                payload JSONB NOT NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'pending',
+                attempts INTEGER NOT NULL DEFAULT 0,
+                next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                response_status INTEGER,
+                error TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                delivered_at TIMESTAMP
+            );
+        `);
+
+        // Mentions parsed out of channel messages, and each user's notification inbox. Mutes stop
+        // notifications caused by a user, or coming from a channel or a private conversation.
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS mentions (
+                id SERIAL PRIMARY KEY,
+                message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+                channel_id INTEGER NOT NULL,
+                username VARCHAR(50) NOT NULL,
+                mentioned_by VARCHAR(50) NOT NULL,
+                kind VARCHAR(10) NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (message_id, username)
+            );
+            CREATE TABLE IF NOT EXISTS notifications (
+                id SERIAL PRIMARY KEY,
+                username VARCHAR(50) NOT NULL,
+                kind VARCHAR(20) NOT NULL,
+                actor VARCHAR(50) NOT NULL,
+                message_id INTEGER REFERENCES messages(id) ON DELETE CASCADE,
+                channel_id INTEGER,
+                game_id VARCHAR(100),
+                preview TEXT,
+                details JSONB NOT NULL DEFAULT '{}',
+                read_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE TABLE IF NOT EXISTS notification_mutes (
+                username VARCHAR(50) NOT NULL,
+                kind VARCHAR(20) NOT NULL,
+                target VARCHAR(50) NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (username, kind, target)
+            );
+        `);
+
+        // Full-text search; the vector follows the message text, edits included
+        await client.query(`
+            ALTER TABLE messages ADD COLUMN IF NOT EXISTS search_vector tsvector 
+                GENERATED ALWAYS AS (to_tsvector('english', message)) STORED;
+        `);
+
+        // One row per user per emoji on a message. Reactions used to live in messages.reactions
+        // as { emoji: [usernames] }; they are copied over, and the column is dropped in the same
+        // transaction once the copy has gone through.
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS message_reactions (
+                message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                emoji VARCHAR(64) NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (message_id, user_id, emoji)
+            );
+            CREATE TABLE IF NOT EXISTS custom_emoji (
+                name VARCHAR(32) PRIMARY KEY,
+                image_url TEXT NOT NULL,
+                created_by VARCHAR(50),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        const legacyReactions = await client.query(`
+            SELECT 1 FROM information_schema.columns 
+            WHERE table_name = 'messages' AND column_name = 'reactions'
+        `);
+        if (legacyReactions.rows.length > 0) {
+            try {
+                await client.query('BEGIN');
+                await client.query(`
+                    INSERT INTO message_reactions (message_id, user_id, emoji)
+                    SELECT m.id, u.id, reaction.key 
+                    FROM messages m
+                    CROSS JOIN LATERAL jsonb_each(
+                        CASE WHEN jsonb_typeof(m.reactions) = 'object' THEN m.reactions ELSE '{}' END
+                    ) reaction
+                    CROSS JOIN LATERAL jsonb_array_elements_text(
+                        CASE WHEN jsonb_typeof(reaction.value) = 'array' THEN reaction.value ELSE '[]' END
+                    ) reactor(username)
+                    JOIN users u ON u.username = reactor.username
+                    WHERE length(reaction.key) <= 64
+                    ON CONFLICT DO NOTHING
+                `);
+                await client.query('ALTER TABLE messages DROP COLUMN IF EXISTS reactions');
+                await client.query('COMMIT');
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw error;
+            }
+        }
+
+        // Public messages from before channels existed move into the default channel
+        await client.query(`
+            INSERT INTO channels (name, topic) VALUES ('general', 'Chat with everyone') ON CONFLICT (name) DO NOTHING;
+            UPDATE messages SET channel_id = (SELECT id FROM channels WHERE name = 'general')
+            WHERE channel_id IS NULL AND is_private = false;
+        `);
+
         // Chess games table
         await client.query(`
             CREATE TABLE IF NOT EXISTS chess_games (
@@ -77,6 +309,32 @@ async function initializeTables() {
             )
         `);
 
+        // Columns added after the original chess_games schema
+        await client.query(`
+            ALTER TABLE chess_games ADD COLUMN IF NOT EXISTS rules_state JSONB DEFAULT '{}';
+            ALTER TABLE chess_games ADD COLUMN IF NOT EXISTS end_reason VARCHAR(30);
+            ALTER TABLE chess_games ADD COLUMN IF NOT EXISTS start_fen VARCHAR(100);
+            ALTER TABLE chess_games ADD COLUMN IF NOT EXISTS clock_state JSONB;
+            ALTER TABLE chess_games ADD COLUMN IF NOT EXISTS bot_level VARCHAR(20);
+            ALTER TABLE chess_games ADD COLUMN IF NOT EXISTS rated BOOLEAN DEFAULT false;
+            ALTER TABLE chess_games ADD COLUMN IF NOT EXISTS white_rating_change INTEGER;
+            ALTER TABLE chess_games ADD COLUMN IF NOT EXISTS black_rating_change INTEGER;
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS rating INTEGER NOT NULL DEFAULT 1200;
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS rated_games INTEGER NOT NULL DEFAULT 0;
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'online';
+        `);
+
+        // Spectator chat, kept out of the main messages feed
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS chess_spectator_messages (
+                id SERIAL PRIMARY KEY,
+                game_id VARCHAR(100) NOT NULL REFERENCES chess_games(game_id) ON DELETE CASCADE,
+                username VARCHAR(50) NOT NULL,
+                message TEXT NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
         // User sessions table (for socket management)
         await client.query(`
             CREATE TABLE IF NOT EXISTS user_sessions (
@@ -89,12 +347,97 @@ async function initializeTables() {
             )
         `);
 
+        // State shared by every server instance: which instances are alive, who is connected
+        // where, chess invites and the lobby
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS server_instances (
+                id VARCHAR(100) PRIMARY KEY,
+                last_heartbeat TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+            ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS server_id VARCHAR(100);
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS presence VARCHAR(20) NOT NULL DEFAULT 'offline';
+            ALTER TABLE chess_games ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 0;
+            CREATE TABLE IF NOT EXISTS chess_invites (
+                game_id VARCHAR(100) PRIMARY KEY,
+                from_player VARCHAR(50) NOT NULL,
+                to_player VARCHAR(50) NOT NULL,
+                fen VARCHAR(100),
+                time_control JSONB,
+                rated BOOLEAN DEFAULT false,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE TABLE IF NOT EXISTS lobby_challenges (
+                id VARCHAR(36) PRIMARY KEY,
+                from_player VARCHAR(50) NOT NULL,
+                rating INTEGER NOT NULL,
+                time_control JSONB,
+                color VARCHAR(10) NOT NULL,
+                rated BOOLEAN DEFAULT false,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                expires_at TIMESTAMP NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS lobby_seeks (
+                username VARCHAR(50) PRIMARY KEY,
+                rating INTEGER NOT NULL,
+                time_control JSONB,
+                rated BOOLEAN DEFAULT false,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        // Large payloads passed between instances by the socket.io Postgres adapter
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS socket_io_attachments (
+                id BIGSERIAL UNIQUE,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                payload BYTEA
+            )
+        `);
+
+        // Refresh tokens (only a hash of each token is stored)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS refresh_tokens (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                token_hash VARCHAR(64) UNIQUE NOT NULL,
+                expires_at TIMESTAMP NOT NULL,
+                revoked_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
         // Create indexes for better performance
         await client.query(`
             CREATE INDEX IF NOT EXISTS idx_messages_created_at ON messages(created_at DESC);
             CREATE INDEX IF NOT EXISTS idx_messages_username ON messages(username);
+            DROP INDEX IF EXISTS idx_messages_channel;
+            CREATE INDEX IF NOT EXISTS idx_messages_channel_page ON messages(channel_id, id);
+            CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages(
+                LEAST(username, target_username), GREATEST(username, target_username), id
+            ) WHERE is_private = true;
+            CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at DESC);
+            CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target_username, created_at DESC);
+            CREATE INDEX IF NOT EXISTS idx_messages_search ON messages USING GIN(search_vector);
+            CREATE INDEX IF NOT EXISTS idx_messages_unread ON messages(target_username, username) WHERE is_private = true AND read_at IS NULL;
+            CREATE INDEX IF NOT EXISTS idx_message_edits_message ON message_edits(message_id, replaced_at);
+            CREATE INDEX IF NOT EXISTS idx_attachments_blob ON attachments(blob_key);
+            CREATE INDEX IF NOT EXISTS idx_messages_attachment ON messages(attachment_id) WHERE attachment_id IS NOT NULL;
+            CREATE INDEX IF NOT EXISTS idx_messages_parent ON messages(parent_id, created_at) WHERE parent_id IS NOT NULL;
+            CREATE INDEX IF NOT EXISTS idx_channel_members_user ON channel_members(user_id);
             CREATE INDEX IF NOT EXISTS idx_chess_games_players ON chess_games(white_player, black_player);
+            CREATE INDEX IF NOT EXISTS idx_chess_games_black_player ON chess_games(black_player);
+            CREATE INDEX IF NOT EXISTS idx_users_rating ON users(rating DESC) WHERE rated_games > 0;
             CREATE INDEX IF NOT EXISTS idx_user_sessions_socket ON user_sessions(socket_id);
+            CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id);
+            CREATE INDEX IF NOT EXISTS idx_users_presence ON users(presence) WHERE presence <> 'offline';
+            CREATE INDEX IF NOT EXISTS idx_lobby_challenges_from ON lobby_challenges(from_player);
+            CREATE INDEX IF NOT EXISTS idx_spectator_messages_game ON chess_spectator_messages(game_id, created_at DESC);
+            CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(user_id);
+            CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+            CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, id DESC);
+            CREATE INDEX IF NOT EXISTS idx_mentions_user ON mentions(username, id DESC);
+            CREATE INDEX IF NOT EXISTS idx_notifications_inbox ON notifications(username, id DESC);
+            CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(username) WHERE read_at IS NULL;
         `);
 
         console.log('✅ Database tables initialized successfully');
@@ -122,6 +465,11 @@ const db = {
         return result.rows[0];
     },
 
+    async getUserById(userId) {
+        const result = await pool.query('SELECT * FROM users WHERE id = $1', [userId]);
+        return result.rows[0];
+    },
+
     async updateUserOnlineStatus(username, isOnline) {
         await pool.query(
             'UPDATE users SET is_online = $1, last_seen = CURRENT_TIMESTAMP WHERE username = $2',
@@ -129,6 +477,14 @@ const db = {
         );
     },
 
+    // The status the user picked: online, away, dnd or invisible
+    async setUserStatus(username, status) {
+        await pool.query(
+            'UPDATE users SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE username = $2',
+            [status, username]
+        );
+    },
+
     async getOnlineUsers() {
         const result = await pool.query('SELECT username FROM users WHERE is_online = true ORDER BY username');
         return result.rows.map(row => row.username);
@@ -136,120 +492,619 @@ const db = {
 
     // Message operations
     async saveMessage(messageData) {
-        const { username, message, messageType = 'text', fileName = null, fileData = null, fileType = null, isPrivate = false, targetUsername = null } = messageData;
+        const { username, message, messageType = 'text', attachmentId = null, isPrivate = false, targetUsername = null, channelId = null, parentId = null } = messageData;
         
         const result = await pool.query(`
-            INSERT INTO messages (username, message, message_type, file_name, file_data, file_type, is_private, target_username)
+            INSERT INTO messages (username, message, message_type, attachment_id, is_private, target_username, channel_id, parent_id)
             VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *
-        `, [username, message, messageType, fileName, fileData, fileType, isPrivate, targetUsername]);
+        `, [username, message, messageType, attachmentId, isPrivate, targetUsername, channelId, parentId]);
         
         return result.rows[0];
     },
 
-    async getRecentMessages(limit = 50) {
+    // One page of a channel's messages, found by keyset on the message id (or creation time) so
+    // scrolling back stays fast. Newest first, unless only an `after` bound is given.
+    // Includes each message's reply count and latest reply time, and for replies the quoted parent.
+    async getChannelMessages(channelId, { beforeId = null, beforeTime = null, afterId = null, afterTime = null, limit = 50 } = {}) {
+        const forward = (afterId !== null || afterTime !== null) && beforeId === null && beforeTime === null;
+        const result = await pool.query(`
+            SELECT m.*, thread.reply_count, thread.last_reply_at,
+                   parent.username AS parent_username, parent.message AS parent_message
+            FROM messages m
+            CROSS JOIN LATERAL (
+                SELECT COUNT(*)::int AS reply_count, MAX(r.created_at) AS last_reply_at 
+                FROM messages r WHERE r.parent_id = m.id
+            ) thread
+            LEFT JOIN messages parent ON parent.id = m.parent_id
+            WHERE m.channel_id = $1 
+            AND ($2::int IS NULL OR m.id < $2) AND ($3::timestamp IS NULL OR m.created_at < $3)
+            AND ($4::int IS NULL OR m.id > $4) AND ($5::timestamp IS NULL OR m.created_at > $5)
+            ORDER BY m.id ${forward ? 'ASC' : 'DESC'} 
+            LIMIT $6
+        `, [channelId, beforeId, beforeTime, afterId, afterTime, limit]);
+        return result.rows;
+    },
+
+    // A page of replies to a thread, oldest first
+    async getThreadReplies(parentId, limit = 50, offset = 0) {
         const result = await pool.query(`
             SELECT * FROM messages 
-            WHERE is_private = false 
-            ORDER BY created_at DESC 
-            LIMIT $1
-        `, [limit]);
-        return result.rows.reverse();
+            WHERE parent_id = $1 
+            ORDER BY created_at, id 
+            LIMIT $2 OFFSET $3
+        `, [parentId, limit, offset]);
+        return result.rows;
     },
 
-    async getPrivateMessages(username1, username2, limit = 50) {
+    async getThreadSummary(parentId) {
+        const result = await pool.query(`
+            SELECT COUNT(*)::int AS reply_count, MAX(created_at) AS last_reply_at 
+            FROM messages WHERE parent_id = $1
+        `, [parentId]);
+        return result.rows[0];
+    },
+
+    // One page of a private conversation, bounded the same way as getChannelMessages
+    async getPrivateMessages(username1, username2, { beforeId = null, beforeTime = null, afterId = null, afterTime = null, limit = 50 } = {}) {
+        const forward = (afterId !== null || afterTime !== null) && beforeId === null && beforeTime === null;
         const result = await pool.query(`
             SELECT * FROM messages 
             WHERE is_private = true 
-            AND ((username = $1 AND target_username = $2) OR (username = $2 AND target_username = $1))
-            ORDER BY created_at DESC 
-            LIMIT $3
-        `, [username1, username2, limit]);
-        return result.rows.reverse();
+            AND LEAST(username, target_username) = LEAST($1::varchar, $2::varchar) 
+            AND GREATEST(username, target_username) = GREATEST($1::varchar, $2::varchar)
+            AND ($3::int IS NULL OR id < $3) AND ($4::timestamp IS NULL OR created_at < $4)
+            AND ($5::int IS NULL OR id > $5) AND ($6::timestamp IS NULL OR created_at > $6)
+            ORDER BY id ${forward ? 'ASC' : 'DESC'} 
+            LIMIT $7
+        `, [username1, username2, beforeId, beforeTime, afterId, afterTime, limit]);
+        return result.rows;
     },
 
-    async searchMessages(searchTerm, username = null, limit = 50) {
-        let query = `
-            SELECT * FROM messages 
-            WHERE is_private = false 
-            AND message ILIKE $1
-        `;
-        let params = [`%${searchTerm}%`];
-        
-        if (username) {
-            query += ` AND username = $2`;
-            params.push(username);
-        }
-        
-        query += ` ORDER BY created_at DESC LIMIT $${params.length + 1}`;
-        params.push(limit);
-        
-        const result = await pool.query(query, params);
+    // Marks one private message delivered, returning it
+    async markMessageDelivered(messageId) {
+        const result = await pool.query(`
+            UPDATE messages SET delivered_at = COALESCE(delivered_at, CURRENT_TIMESTAMP)
+            WHERE id = $1 AND is_private = true 
+            RETURNING *
+        `, [messageId]);
+        return result.rows[0];
+    },
+
+    // Marks every undelivered private message to `username` delivered, returning them oldest first
+    async deliverPendingPrivateMessages(username) {
+        const result = await pool.query(`
+            UPDATE messages SET delivered_at = CURRENT_TIMESTAMP
+            WHERE is_private = true AND target_username = $1 AND delivered_at IS NULL 
+            RETURNING *
+        `, [username]);
+        return result.rows.sort((a, b) => a.created_at - b.created_at || a.id - b.id);
+    },
+
+    // Marks everything `partner` sent to `reader` as read, returning the ids
+    async markConversationRead(reader, partner) {
+        const result = await pool.query(`
+            UPDATE messages SET read_at = CURRENT_TIMESTAMP, delivered_at = COALESCE(delivered_at, CURRENT_TIMESTAMP)
+            WHERE is_private = true AND username = $2 AND target_username = $1 AND read_at IS NULL 
+            RETURNING id
+        `, [reader, partner]);
+        return result.rows.map(row => row.id);
+    },
+
+    async getUnreadCounts(username) {
+        const result = await pool.query(`
+            SELECT username, COUNT(*)::int AS unread_count 
+            FROM messages 
+            WHERE is_private = true AND target_username = $1 AND read_at IS NULL 
+            GROUP BY username
+        `, [username]);
+        return result.rows;
+    },
+
+    // One row per conversation partner with the latest message and the unread count, newest first
+    async getConversations(username) {
+        const result = await pool.query(`
+            WITH dms AS (
+                SELECT *, CASE WHEN username = $1 THEN target_username ELSE username END AS partner 
+                FROM messages 
+                WHERE is_private = true AND (username = $1 OR target_username = $1)
+            ), latest AS (
+                SELECT DISTINCT ON (partner) * 
+                FROM dms 
+                ORDER BY partner, created_at DESC, id DESC
+            )
+            SELECT latest.*, 
+                (SELECT COUNT(*) FROM dms 
+                 WHERE dms.partner = latest.partner AND dms.target_username = $1 AND dms.read_at IS NULL)::int AS unread_count
+            FROM latest 
+            ORDER BY created_at DESC
+        `, [username]);
         return result.rows;
     },
 
+    // Ranked full-text search over the channels in `channelIds` and, given `participant`, that user's
+    // private messages. Optional filters: `partner` (only the private conversation with them),
+    // `author`, `from`/`to` dates, `type`, and `hasAttachment`. `highlight` holds the ts_headline
+    // options that mark matched words in each result's snippet. Returns { results, total }.
+    async searchMessages(searchTerm, filters, highlight, limit = 20, offset = 0) {
+        const { channelIds = [], participant = null, partner = null, author = null,
+            from = null, to = null, type = null, hasAttachment = null } = filters;
+        const matches = `
+            FROM messages m, websearch_to_tsquery('english', $1) query
+            WHERE m.search_vector @@ query 
+            AND (m.channel_id = ANY($2) 
+                OR ($3::varchar IS NOT NULL AND m.is_private = true AND $3 IN (m.username, m.target_username)))
+            AND ($4::varchar IS NULL OR (m.is_private = true AND $4 IN (m.username, m.target_username)))
+            AND ($5::varchar IS NULL OR m.username = $5)
+            AND ($6::timestamp IS NULL OR m.created_at >= $6)
+            AND ($7::timestamp IS NULL OR m.created_at < $7)
+            AND ($8::varchar IS NULL OR m.message_type = $8)
+            AND ($9::boolean IS NULL OR (m.attachment_id IS NOT NULL) = $9)
+        `;
+        const params = [searchTerm, channelIds, participant, partner, author, from, to, type, hasAttachment];
+
+        // Snippets are only worked out for the page being returned
+        const result = await pool.query(`
+            SELECT page.*, ts_headline('english', page.message, query, $12) AS snippet 
+            FROM (
+                SELECT m.*, ts_rank(m.search_vector, query) AS rank 
+                ${matches}
+                ORDER BY rank DESC, m.id DESC 
+                LIMIT $10 OFFSET $11
+            ) page, websearch_to_tsquery('english', $1) query
+            ORDER BY page.rank DESC, page.id DESC
+        `, [...params, limit, offset, highlight]);
+        const countResult = await pool.query(`SELECT COUNT(*)::int AS total ${matches}`, params);
+        return { results: result.rows, total: countResult.rows[0].total };
+    },
+
     async getMessageById(messageId) {
         const result = await pool.query('SELECT * FROM messages WHERE id = $1', [messageId]);
         return result.rows[0];
     },
 
-    async updateMessageReactions(messageId, reactions) {
+    // Replaces the text of `username`'s message, keeping the old text as a revision. Messages older
+    // than `windowMs` are left alone when a window is given. Returns the updated message, if any.
+    async editMessage(messageId, username, message, windowMs = null) {
+        const result = await pool.query(`
+            WITH target AS (
+                SELECT id, message FROM messages 
+                WHERE id = $1 AND username = $2 
+                AND ($4::float8 IS NULL OR created_at > CURRENT_TIMESTAMP - $4::float8 * INTERVAL '1 millisecond')
+                FOR UPDATE
+            ), revision AS (
+                INSERT INTO message_edits (message_id, message) 
+                SELECT id, message FROM target
+            )
+            UPDATE messages m SET message = $3, edited_at = CURRENT_TIMESTAMP 
+            FROM target WHERE m.id = target.id 
+            RETURNING m.*
+        `, [messageId, username, message, windowMs]);
+        return result.rows[0];
+    },
+
+    // Earlier versions of a message, oldest first
+    async getMessageRevisions(messageId) {
+        const result = await pool.query(`
+            SELECT message, replaced_at FROM message_edits 
+            WHERE message_id = $1 
+            ORDER BY replaced_at, id
+        `, [messageId]);
+        return result.rows;
+    },
+
+    // Adds the user's reaction, or removes it if they had already made it. Returns true if it was added.
+    async toggleReaction(messageId, userId, emoji) {
+        const result = await pool.query(`
+            WITH removed AS (
+                DELETE FROM message_reactions 
+                WHERE message_id = $1 AND user_id = $2 AND emoji = $3 
+                RETURNING 1
+            )
+            INSERT INTO message_reactions (message_id, user_id, emoji) 
+            SELECT $1, $2, $3 WHERE NOT EXISTS (SELECT 1 FROM removed) 
+            ON CONFLICT DO NOTHING 
+            RETURNING 1
+        `, [messageId, userId, emoji]);
+        return result.rows.length > 0;
+    },
+
+    // Reaction counts per message and emoji, each emoji in the order it was first used.
+    // reacted_by_me says whether `userId` is among the reactors.
+    async getReactionCounts(messageIds, userId = null) {
+        const result = await pool.query(`
+            SELECT message_id, emoji, COUNT(*)::int AS count, COALESCE(bool_or(user_id = $2), false) AS reacted_by_me
+            FROM message_reactions 
+            WHERE message_id = ANY($1::int[])
+            GROUP BY message_id, emoji
+            ORDER BY MIN(created_at)
+        `, [messageIds, userId]);
+        return result.rows;
+    },
+
+    // Attachments
+    async createAttachment({ blobKey, fileName, mimeType, size, width = null, height = null, thumbnailKey = null, uploadedBy }) {
+        const result = await pool.query(`
+            INSERT INTO attachments (blob_key, file_name, mime_type, size_bytes, width, height, thumbnail_key, uploaded_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *
+        `, [blobKey, fileName, mimeType, size, width, height, thumbnailKey, uploadedBy]);
+        return result.rows[0];
+    },
+
+    async getAttachment(attachmentId) {
+        const result = await pool.query('SELECT * FROM attachments WHERE id = $1', [attachmentId]);
+        return result.rows[0];
+    },
+
+    async getAttachmentsByIds(attachmentIds) {
+        const result = await pool.query('SELECT * FROM attachments WHERE id = ANY($1::int[])', [attachmentIds]);
+        return result.rows;
+    },
+
+    // An earlier upload of the same content, whose sniffed type and thumbnail can be reused
+    async getAttachmentByBlobKey(blobKey) {
+        const result = await pool.query(
+            'SELECT * FROM attachments WHERE blob_key = $1 ORDER BY id LIMIT 1',
+            [blobKey]
+        );
+        return result.rows[0];
+    },
+
+    // The uploader can always download; anyone else needs to be able to see a message carrying it
+    async canDownloadAttachment(attachmentId, userId, username) {
+        const result = await pool.query(`
+            SELECT 1 FROM attachments a 
+            WHERE a.id = $1 AND (
+                a.uploaded_by = $3 OR EXISTS (
+                    SELECT 1 FROM messages m 
+                    WHERE m.attachment_id = a.id AND (
+                        (m.is_private AND (m.username = $3 OR m.target_username = $3))
+                        OR EXISTS (
+                            SELECT 1 FROM channel_members cm 
+                            WHERE cm.channel_id = m.channel_id AND cm.user_id = $2
+                        )
+                    )
+                )
+            )
+        `, [attachmentId, userId, username]);
+        return result.rows.length > 0;
+    },
+
+    // Messages from before attachments, with the file inline in file_data
+    async getInlineFileMessages(afterId, limit) {
+        const result = await pool.query(`
+            SELECT id, username, file_name, file_type, file_data FROM messages 
+            WHERE file_data IS NOT NULL AND id > $1 
+            ORDER BY id 
+            LIMIT $2
+        `, [afterId, limit]);
+        return result.rows;
+    },
+
+    async setMessageAttachment(messageId, attachmentId) {
         await pool.query(
-            'UPDATE messages SET reactions = $1 WHERE id = $2',
-            [JSON.stringify(reactions), messageId]
+            'UPDATE messages SET attachment_id = $2, file_data = NULL WHERE id = $1',
+            [messageId, attachmentId]
         );
     },
 
-    async deleteMessage(messageId, username) {
+    async getCustomEmoji(name) {
+        const result = await pool.query('SELECT * FROM custom_emoji WHERE name = $1', [name]);
+        return result.rows[0];
+    },
+
+    async getCustomEmojis() {
+        const result = await pool.query('SELECT * FROM custom_emoji ORDER BY name');
+        return result.rows;
+    },
+
+    async createCustomEmoji({ name, imageUrl, createdBy }) {
+        const result = await pool.query(
+            'INSERT INTO custom_emoji (name, image_url, created_by) VALUES ($1, $2, $3) RETURNING *',
+            [name, imageUrl, createdBy]
+        );
+        return result.rows[0];
+    },
+
+    // Deletes a message; given `username`, only if they wrote it
+    async deleteMessage(messageId, username = null) {
         const result = await pool.query(
-            'DELETE FROM messages WHERE id = $1 AND username = $2 RETURNING *',
+            'DELETE FROM messages WHERE id = $1 AND ($2::varchar IS NULL OR username = $2) RETURNING *',
             [messageId, username]
         );
         return result.rows[0];
     },
 
-    async getMessageStats() {
+    async getMessageStats(channelId) {
         const result = await pool.query(`
             SELECT 
                 COUNT(*) as total_messages,
                 COUNT(DISTINCT username) as active_users,
-                COUNT(CASE WHEN message_type = 'file' THEN 1 END) as file_messages,
-                COUNT(CASE WHEN is_private = true THEN 1 END) as private_messages
+                COUNT(CASE WHEN message_type = 'file' THEN 1 END) as file_messages
             FROM messages
-            WHERE created_at >= NOW() - INTERVAL '24 hours'
-        `);
+            WHERE channel_id = $1 
+            AND created_at >= NOW() - INTERVAL '24 hours'
+        `, [channelId]);
+        return result.rows[0];
+    },
+
+    // Channel operations
+    async createChannel({ name, topic = null, isPrivate = false, createdBy }) {
+        const client = await pool.connect();
+        
+        try {
+            await client.query('BEGIN');
+            
+            const result = await client.query(`
+                INSERT INTO channels (name, topic, is_private, created_by)
+                VALUES ($1, $2, $3, $4) RETURNING *
+            `, [name, topic, isPrivate, createdBy.username]);
+            const channel = result.rows[0];
+            await client.query(
+                'INSERT INTO channel_members (channel_id, user_id) VALUES ($1, $2)',
+                [channel.id, createdBy.id]
+            );
+            
+            await client.query('COMMIT');
+            return channel;
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    },
+
+    async getChannelById(channelId) {
+        const result = await pool.query('SELECT * FROM channels WHERE id = $1', [channelId]);
+        return result.rows[0];
+    },
+
+    async setChannelTopic(channelId, topic) {
+        const result = await pool.query('UPDATE channels SET topic = $2 WHERE id = $1 RETURNING *', [channelId, topic]);
+        return result.rows[0];
+    },
+
+    async getChannelByName(name) {
+        const result = await pool.query('SELECT * FROM channels WHERE name = $1', [name]);
+        return result.rows[0];
+    },
+
+    // Public channels plus the invite-only ones the user belongs to
+    async getVisibleChannels(userId) {
+        const result = await pool.query(`
+            SELECT c.*, 
+                (SELECT COUNT(*) FROM channel_members m WHERE m.channel_id = c.id)::int AS member_count,
+                EXISTS (SELECT 1 FROM channel_members m WHERE m.channel_id = c.id AND m.user_id = $1) AS is_member
+            FROM channels c
+            WHERE c.is_private = false 
+            OR EXISTS (SELECT 1 FROM channel_members m WHERE m.channel_id = c.id AND m.user_id = $1)
+            ORDER BY c.name
+        `, [userId]);
+        return result.rows;
+    },
+
+    async getUserChannelIds(userId) {
+        const result = await pool.query('SELECT channel_id FROM channel_members WHERE user_id = $1', [userId]);
+        return result.rows.map(row => row.channel_id);
+    },
+
+    async isChannelMember(channelId, userId) {
+        const result = await pool.query(
+            'SELECT 1 FROM channel_members WHERE channel_id = $1 AND user_id = $2',
+            [channelId, userId]
+        );
+        return result.rows.length > 0;
+    },
+
+    async addChannelMember(channelId, userId) {
+        await pool.query(
+            'INSERT INTO channel_members (channel_id, user_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+            [channelId, userId]
+        );
+    },
+
+    async removeChannelMember(channelId, userId) {
+        const result = await pool.query(
+            'DELETE FROM channel_members WHERE channel_id = $1 AND user_id = $2 RETURNING *',
+            [channelId, userId]
+        );
+        return result.rows[0];
+    },
+
+    async getChannelMembers(channelId) {
+        const result = await pool.query(`
+            SELECT u.username, u.is_online, m.joined_at 
+            FROM channel_members m 
+            JOIN users u ON u.id = m.user_id 
+            WHERE m.channel_id = $1 
+            ORDER BY u.username
+        `, [channelId]);
+        return result.rows;
+    },
+
+    async createChannelInvite(channelId, userId, invitedBy) {
+        await pool.query(`
+            INSERT INTO channel_invites (channel_id, user_id, invited_by) VALUES ($1, $2, $3)
+            ON CONFLICT (channel_id, user_id) DO UPDATE SET invited_by = $3, created_at = CURRENT_TIMESTAMP
+        `, [channelId, userId, invitedBy]);
+    },
+
+    // Returns the invite if there was one to use up
+    async useChannelInvite(channelId, userId) {
+        const result = await pool.query(
+            'DELETE FROM channel_invites WHERE channel_id = $1 AND user_id = $2 RETURNING *',
+            [channelId, userId]
+        );
         return result.rows[0];
     },
 
     // Chess game operations
     async createChessGame(gameData) {
-        const { gameId, whitePlayer, blackPlayer, boardState } = gameData;
+        const { gameId, whitePlayer, blackPlayer, boardState, rulesState = {}, startFen = null, clockState = null, botLevel = null, rated = false } = gameData;
         
         const result = await pool.query(`
-            INSERT INTO chess_games (game_id, white_player, black_player, board_state)
-            VALUES ($1, $2, $3, $4) RETURNING *
-        `, [gameId, whitePlayer, blackPlayer, JSON.stringify(boardState)]);
+            INSERT INTO chess_games (game_id, white_player, black_player, board_state, rules_state, start_fen, clock_state, bot_level, rated)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *
+        `, [gameId, whitePlayer, blackPlayer, JSON.stringify(boardState), JSON.stringify(rulesState), startFen,
+            clockState && JSON.stringify(clockState), botLevel, rated]);
         
         return result.rows[0];
     },
 
     async getChessGame(gameId) {
         const result = await pool.query('SELECT * FROM chess_games WHERE game_id = $1', [gameId]);
-        if (result.rows[0]) {
-            const game = result.rows[0];
-            game.board_state = JSON.parse(game.board_state);
-            game.move_history = JSON.parse(game.move_history || '[]');
-        }
         return result.rows[0];
     },
 
+    async getTimedActiveChessGameIds() {
+        const result = await pool.query(`
+            SELECT game_id FROM chess_games 
+            WHERE game_status = 'active' AND clock_state IS NOT NULL
+        `);
+        return result.rows.map(row => row.game_id);
+    },
+
+    async getActiveChessGamesForUser(username) {
+        const result = await pool.query(`
+            SELECT * FROM chess_games 
+            WHERE game_status = 'active' AND (white_player = $1 OR black_player = $1)
+            ORDER BY updated_at DESC
+        `, [username]);
+        return result.rows;
+    },
+
+    // Saves only if the row is still at `version`, so concurrent writers can't overwrite each other.
+    // Returns the new version, or null if someone else saved first.
     async updateChessGame(gameId, gameData) {
-        const { currentTurn, boardState, gameStatus, moveHistory, winner } = gameData;
+        const { currentTurn, boardState, gameStatus, moveHistory, winner, endReason = null, rulesState = {}, clockState = null, version } = gameData;
         
-        await pool.query(`
+        const result = await pool.query(`
             UPDATE chess_games 
-            SET current_turn = $1, board_state = $2, game_status = $3, move_history = $4, winner = $5, updated_at = CURRENT_TIMESTAMP
-            WHERE game_id = $6
-        `, [currentTurn, JSON.stringify(boardState), gameStatus, JSON.stringify(moveHistory), winner, gameId]);
+            SET current_turn = $1, board_state = $2, game_status = $3, move_history = $4, winner = $5,
+                end_reason = $6, rules_state = $7, clock_state = $8, version = version + 1, updated_at = CURRENT_TIMESTAMP
+            WHERE game_id = $9 AND version = $10
+            RETURNING version
+        `, [currentTurn, JSON.stringify(boardState), gameStatus, JSON.stringify(moveHistory), winner,
+            endReason, JSON.stringify(rulesState), clockState && JSON.stringify(clockState), gameId, version]);
+        return result.rows.length > 0 ? result.rows[0].version : null;
+    },
+
+    // Chess invites sent to a named player
+    // Returns nothing when an invite with that id is already pending, which is left as it was
+    async saveChessInvite({ gameId, from, to, fen = null, timeControl = null, rated = false }) {
+        const result = await pool.query(`
+            INSERT INTO chess_invites (game_id, from_player, to_player, fen, time_control, rated)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            ON CONFLICT (game_id) DO NOTHING
+            RETURNING *
+        `, [gameId, from, to, fen, timeControl && JSON.stringify(timeControl), rated]);
+        return result.rows[0];
+    },
+
+    // Removes and returns the invite, provided it is from `from` to `to`
+    async takeChessInvite(gameId, from, to) {
+        const result = await pool.query(
+            'DELETE FROM chess_invites WHERE game_id = $1 AND from_player = $2 AND to_player = $3 RETURNING *',
+            [gameId, from, to]
+        );
+        return result.rows[0];
+    },
+
+    // Lobby operations
+    async createLobbyChallenge({ id, from, rating, timeControl, color, rated, expiresAt }) {
+        const result = await pool.query(`
+            INSERT INTO lobby_challenges (id, from_player, rating, time_control, color, rated, expires_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *
+        `, [id, from, rating, timeControl && JSON.stringify(timeControl), color, rated, expiresAt]);
+        return result.rows[0];
+    },
+
+    async countLobbyChallenges(username) {
+        const result = await pool.query('SELECT COUNT(*)::int AS count FROM lobby_challenges WHERE from_player = $1', [username]);
+        return result.rows[0].count;
+    },
+
+    async getLobbyChallenge(challengeId) {
+        const result = await pool.query('SELECT * FROM lobby_challenges WHERE id = $1', [challengeId]);
+        return result.rows[0];
+    },
+
+    async getLobbyChallenges() {
+        const result = await pool.query('SELECT * FROM lobby_challenges WHERE expires_at > CURRENT_TIMESTAMP ORDER BY created_at');
+        return result.rows;
+    },
+
+    // Removes and returns a challenge for someone other than its author; only one caller can win it
+    async takeLobbyChallenge(challengeId, acceptor) {
+        const result = await pool.query(`
+            DELETE FROM lobby_challenges 
+            WHERE id = $1 AND from_player <> $2 AND expires_at > CURRENT_TIMESTAMP 
+            RETURNING *
+        `, [challengeId, acceptor]);
+        return result.rows[0];
+    },
+
+    async deleteLobbyChallenge(challengeId, username) {
+        const result = await pool.query(
+            'DELETE FROM lobby_challenges WHERE id = $1 AND from_player = $2 RETURNING *',
+            [challengeId, username]
+        );
+        return result.rows[0];
+    },
+
+    async deleteLobbyChallengesBy(username) {
+        const result = await pool.query('DELETE FROM lobby_challenges WHERE from_player = $1 RETURNING *', [username]);
+        return result.rows;
+    },
+
+    async expireLobbyChallenges() {
+        const result = await pool.query('DELETE FROM lobby_challenges WHERE expires_at <= CURRENT_TIMESTAMP RETURNING *');
+        return result.rows;
+    },
+
+    async saveLobbySeek({ username, rating, timeControl, rated }) {
+        const result = await pool.query(`
+            INSERT INTO lobby_seeks (username, rating, time_control, rated) VALUES ($1, $2, $3, $4)
+            ON CONFLICT (username) DO UPDATE 
+            SET rating = $2, time_control = $3, rated = $4, created_at = CURRENT_TIMESTAMP
+            RETURNING *
+        `, [username, rating, timeControl && JSON.stringify(timeControl), rated]);
+        return result.rows[0];
+    },
+
+    async deleteLobbySeek(username) {
+        const result = await pool.query('DELETE FROM lobby_seeks WHERE username = $1 RETURNING *', [username]);
+        return result.rows[0];
+    },
+
+    async countLobbySeeks() {
+        const result = await pool.query('SELECT COUNT(*)::int AS count FROM lobby_seeks');
+        return result.rows[0].count;
+    },
+
+    // Removes the seeks `match(rows)` pairs up, with the queue locked so only one instance pairs at a time.
+    // `match` returns [rowA, rowB] pairs.
+    async pairLobbySeeks(match) {
+        const client = await pool.connect();
+        
+        try {
+            await client.query('BEGIN');
+            
+            const result = await client.query('SELECT * FROM lobby_seeks ORDER BY created_at FOR UPDATE');
+            const pairs = match(result.rows);
+            const paired = pairs.flat().map(seek => seek.username);
+            if (paired.length > 0) {
+                await client.query('DELETE FROM lobby_seeks WHERE username = ANY($1)', [paired]);
+            }
+            
+            await client.query('COMMIT');
+            return pairs;
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
     },
 
     async getActiveChessGames() {
@@ -262,16 +1117,558 @@ const db = {
         return result.rows;
     },
 
+    // Rating operations
+
+    // Applies a rated result exactly once with both players' rows locked.
+    // `calculate(white, black, gameStatus)` gets { rating, ratedGames } for each side and
+    // returns { white, black } rating changes, or null if the result doesn't count.
+    async applyRatingChanges(gameId, calculate) {
+        const client = await pool.connect();
+        
+        try {
+            await client.query('BEGIN');
+            
+            const gameResult = await client.query('SELECT * FROM chess_games WHERE game_id = $1 FOR UPDATE', [gameId]);
+            const game = gameResult.rows[0];
+            if (!game || !game.rated || game.white_rating_change !== null) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+            
+            const usersResult = await client.query(`
+                SELECT id, username, rating, rated_games FROM users 
+                WHERE username = ANY($1) 
+                ORDER BY id 
+                FOR UPDATE
+            `, [[game.white_player, game.black_player]]);
+            const white = usersResult.rows.find(user => user.username === game.white_player);
+            const black = usersResult.rows.find(user => user.username === game.black_player);
+            
+            const changes = white && black && calculate(
+                { rating: white.rating, ratedGames: white.rated_games },
+                { rating: black.rating, ratedGames: black.rated_games },
+                game.game_status
+            );
+            if (!changes) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+            
+            const updateUser = 'UPDATE users SET rating = rating + $1, rated_games = rated_games + 1 WHERE id = $2';
+            await client.query(updateUser, [changes.white, white.id]);
+            await client.query(updateUser, [changes.black, black.id]);
+            await client.query(
+                'UPDATE chess_games SET white_rating_change = $1, black_rating_change = $2 WHERE game_id = $3',
+                [changes.white, changes.black, gameId]
+            );
+            
+            await client.query('COMMIT');
+            
+            return {
+                white: { before: white.rating, after: white.rating + changes.white, change: changes.white },
+                black: { before: black.rating, after: black.rating + changes.black, change: changes.black }
+            };
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    },
+
+    async getUserGameHistory(username, limit = 20, offset = 0) {
+        const result = await pool.query(`
+            SELECT game_id, white_player, black_player, game_status, winner, end_reason, rated,
+                   white_rating_change, black_rating_change, bot_level,
+                   jsonb_array_length(move_history) AS move_count, created_at, updated_at
+            FROM chess_games 
+            WHERE (white_player = $1 OR black_player = $1) AND game_status <> 'active'
+            ORDER BY updated_at DESC 
+            LIMIT $2 OFFSET $3
+        `, [username, limit, offset]);
+        
+        const countResult = await pool.query(`
+            SELECT COUNT(*)::int AS total FROM chess_games 
+            WHERE (white_player = $1 OR black_player = $1) AND game_status <> 'active'
+        `, [username]);
+        
+        return { games: result.rows, total: countResult.rows[0].total };
+    },
+
+    async getLeaderboard(limit = 20) {
+        const result = await pool.query(`
+            SELECT u.username, u.rating, u.rated_games,
+                   COUNT(g.id) FILTER (WHERE g.winner = u.username)::int AS wins,
+                   COUNT(g.id) FILTER (WHERE g.game_status = 'draw')::int AS draws,
+                   COUNT(g.id) FILTER (WHERE g.winner IS NOT NULL AND g.winner <> u.username)::int AS losses
+            FROM users u
+            LEFT JOIN chess_games g ON g.rated AND g.white_rating_change IS NOT NULL
+                AND (g.white_player = u.username OR g.black_player = u.username)
+            WHERE u.rated_games > 0
+            GROUP BY u.id
+            ORDER BY u.rating DESC, u.rated_games DESC
+            LIMIT $1
+        `, [limit]);
+        return result.rows;
+    },
+
+    // Spectator chat operations
+    async saveSpectatorMessage({ gameId, username, message }) {
+        const result = await pool.query(`
+            INSERT INTO chess_spectator_messages (game_id, username, message)
+            VALUES ($1, $2, $3) RETURNING *
+        `, [gameId, username, message]);
+        return result.rows[0];
+    },
+
+    async getSpectatorMessages(gameId, limit = 50) {
+        const result = await pool.query(`
+            SELECT * FROM chess_spectator_messages 
+            WHERE game_id = $1 
+            ORDER BY created_at DESC 
+            LIMIT $2
+        `, [gameId, limit]);
+        return result.rows.reverse();
+    },
+
+    // Refresh token operations
+    async saveRefreshToken(userId, tokenHash, expiresAt) {
+        await pool.query(
+            'INSERT INTO refresh_tokens (user_id, token_hash, expires_at) VALUES ($1, $2, $3)',
+            [userId, tokenHash, expiresAt]
+        );
+    },
+
+    // Returns the token row only if it was still unrevoked
+    async revokeRefreshToken(tokenHash) {
+        const result = await pool.query(`
+            UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+            WHERE token_hash = $1 AND revoked_at IS NULL
+            RETURNING *
+        `, [tokenHash]);
+        return result.rows[0];
+    },
+
+    async revokeUserRefreshTokens(userId) {
+        await pool.query(
+            'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL',
+            [userId]
+        );
+    },
+
+    // Moderation
+    async setUserRole(userId, role) {
+        const result = await pool.query(
+            'UPDATE users SET role = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+            [userId, role]
+        );
+        return result.rows[0];
+    },
+
+    // `until` null lifts the mute
+    async setUserMute(userId, until) {
+        const result = await pool.query(
+            'UPDATE users SET muted_until = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+            [userId, until]
+        );
+        return result.rows[0];
+    },
+
+    // Access tokens issued before `at` stop working
+    async signOutUser(userId, at) {
+        await pool.query(
+            'UPDATE users SET signed_out_at = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+            [userId, at]
+        );
+    },
+
+    // A ban without `expiresAt` lasts until it is lifted
+    async banUser(userId, expiresAt = null) {
+        const result = await pool.query(`
+            UPDATE users SET banned_at = CURRENT_TIMESTAMP, ban_expires_at = $2, updated_at = CURRENT_TIMESTAMP 
+            WHERE id = $1 RETURNING *
+        `, [userId, expiresAt]);
+        return result.rows[0];
+    },
+
+    async unbanUser(userId) {
+        const result = await pool.query(`
+            UPDATE users SET banned_at = NULL, ban_expires_at = NULL, updated_at = CURRENT_TIMESTAMP 
+            WHERE id = $1 RETURNING *
+        `, [userId]);
+        return result.rows[0];
+    },
+
+    async addAuditEntry({ actor, action, targetUsername = null, messageId = null, channelId = null, reason = null, details = {} }) {
+        const result = await pool.query(`
+            INSERT INTO audit_log (actor, action, target_username, message_id, channel_id, reason, details)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING *
+        `, [actor, action, targetUsername, messageId, channelId, reason, JSON.stringify(details)]);
+        return result.rows[0];
+    },
+
+    // Newest first, optionally only one actor's, one target's or one kind of action
+    async getAuditLog({ actor = null, target = null, action = null } = {}, limit = 50, offset = 0) {
+        const filter = `
+            WHERE ($1::varchar IS NULL OR actor = $1) 
+            AND ($2::varchar IS NULL OR target_username = $2) 
+            AND ($3::varchar IS NULL OR action = $3)
+        `;
+        const result = await pool.query(`
+            SELECT * FROM audit_log ${filter} 
+            ORDER BY created_at DESC, id DESC 
+            LIMIT $4 OFFSET $5
+        `, [actor, target, action, limit, offset]);
+        const countResult = await pool.query(`SELECT COUNT(*)::int AS total FROM audit_log ${filter}`, [actor, target, action]);
+        return { entries: result.rows, total: countResult.rows[0].total };
+    },
+
+    // Webhooks. Bot users have no password, so nobody can sign in as one. Returns nothing when the
+    // name already belongs to a person, even one without a password.
+    async ensureBotUser(username) {
+        const result = await pool.query(`
+            INSERT INTO users (username, is_bot) VALUES ($1, true)
+            ON CONFLICT (username) DO UPDATE SET is_bot = true 
+            WHERE users.is_bot
+            RETURNING *
+        `, [username]);
+        return result.rows[0];
+    },
+
+    // Marks an existing account as a bot; only for names nobody can register
+    async markUserAsBot(username) {
+        const result = await pool.query(
+            'UPDATE users SET is_bot = true WHERE username = $1 AND password_hash IS NULL RETURNING *',
+            [username]
+        );
+        return result.rows[0];
+    },
+
+    async createIncomingWebhook({ name, channelId, botUsername, tokenHash, createdBy }) {
+        const result = await pool.query(`
+            INSERT INTO incoming_webhooks (name, channel_id, bot_username, token_hash, created_by)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING *
+        `, [name, channelId, botUsername, tokenHash, createdBy]);
+        return result.rows[0];
+    },
+
+    // The webhook, provided `tokenHash` is its token's; marks it as used
+    async useIncomingWebhook(webhookId, tokenHash) {
+        const result = await pool.query(`
+            UPDATE incoming_webhooks SET last_used_at = CURRENT_TIMESTAMP 
+            WHERE id = $1 AND token_hash = $2 
+            RETURNING *
+        `, [webhookId, tokenHash]);
+        return result.rows[0];
+    },
+
+    async getIncomingWebhooks() {
+        const result = await pool.query('SELECT * FROM incoming_webhooks ORDER BY id');
+        return result.rows;
+    },
+
+    async deleteIncomingWebhook(webhookId) {
+        const result = await pool.query('DELETE FROM incoming_webhooks WHERE id = $1 RETURNING *', [webhookId]);
+        return result.rows[0];
+    },
+
+    async createOutgoingWebhook({ name, url, secret, events, channelId = null, botUsername = null, createdBy }) {
+        const result = await pool.query(`
+            INSERT INTO outgoing_webhooks (name, url, secret, events, channel_id, bot_username, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING *
+        `, [name, url, secret, events, channelId, botUsername, createdBy]);
+        return result.rows[0];
+    },
+
+    async getOutgoingWebhook(webhookId) {
+        const result = await pool.query('SELECT * FROM outgoing_webhooks WHERE id = $1', [webhookId]);
+        return result.rows[0];
+    },
+
+    async getOutgoingWebhooks() {
+        const result = await pool.query('SELECT * FROM outgoing_webhooks ORDER BY id');
+        return result.rows;
+    },
+
+    async deleteOutgoingWebhook(webhookId) {
+        const result = await pool.query('DELETE FROM outgoing_webhooks WHERE id = $1 RETURNING *', [webhookId]);
+        return result.rows[0];
+    },
+
+    // Outgoing webhooks subscribed to `event` in a channel: those watching that channel, and those
+    // watching every channel when `includeUnfiltered` is set (it isn't for invite-only channels)
+    async getSubscribedWebhooks(event, channelId, includeUnfiltered) {
+        const result = await pool.query(`
+            SELECT * FROM outgoing_webhooks 
+            WHERE $1 = ANY(events) AND (channel_id = $2 OR (channel_id IS NULL AND $3))
+        `, [event, channelId, includeUnfiltered]);
+        return result.rows;
+    },
+
+    async queueWebhookDeliveries(webhookIds, event, payload) {
+        const result = await pool.query(`
+            INSERT INTO webhook_deliveries (webhook_id, event, payload)
+            SELECT unnest($1::int[]), $2::varchar, $3::jsonb
+            RETURNING *
+        `, [webhookIds, event, JSON.stringify(payload)]);
+        return result.rows;
+    },
+
+    // Takes up to `limit` due deliveries for this instance: each counts an attempt and is pushed
+    // `leaseMs` into the future, so no other instance picks it up while it is being sent
+    async claimWebhookDeliveries(limit, leaseMs) {
+        const result = await pool.query(`
+            UPDATE webhook_deliveries d 
+            SET attempts = d.attempts + 1, 
+                next_attempt_at = CURRENT_TIMESTAMP + $2::float8 * INTERVAL '1 millisecond'
+            FROM outgoing_webhooks w
+            WHERE w.id = d.webhook_id AND d.id IN (
+                SELECT id FROM webhook_deliveries 
+                WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP 
+                ORDER BY next_attempt_at 
+                LIMIT $1 
+                FOR UPDATE SKIP LOCKED
+            )
+            RETURNING d.*, w.url, w.secret, w.bot_username
+        `, [limit, leaseMs]);
+        return result.rows;
+    },
+
+    // Records an attempt's outcome; `nextAttemptAt` is when to retry a delivery left pending
+    async recordWebhookAttempt(deliveryId, { status, responseStatus = null, error = null, nextAttemptAt = null }) {
+        await pool.query(`
+            UPDATE webhook_deliveries 
+            SET status = $2, response_status = $3, error = $4, next_attempt_at = $5,
+                delivered_at = CASE WHEN $2 = 'succeeded' THEN CURRENT_TIMESTAMP END
+            WHERE id = $1
+        `, [deliveryId, status, responseStatus, error, nextAttemptAt]);
+    },
+
+    // Newest first
+    async getWebhookDeliveries(webhookId, limit = 50, offset = 0) {
+        const result = await pool.query(`
+            SELECT * FROM webhook_deliveries WHERE webhook_id = $1 
+            ORDER BY id DESC 
+            LIMIT $2 OFFSET $3
+        `, [webhookId, limit, offset]);
+        const countResult = await pool.query(
+            'SELECT COUNT(*)::int AS total FROM webhook_deliveries WHERE webhook_id = $1',
+            [webhookId]
+        );
+        return { deliveries: result.rows, total: countResult.rows[0].total };
+    },
+
+    // Mentions and notifications. Stores who a channel message mentions: `usernames` by name (members
+    // only in invite-only channels), plus online members for @here or every member for @channel.
+    // Returns only the rows added now, so an edit only returns people it newly mentions.
+    async saveMentions({ messageId, channelId, mentionedBy, usernames, here = false, everyone = false }) {
+        const result = await pool.query(`
+            WITH candidates AS (
+                SELECT u.username, 'user' AS kind, 1 AS priority 
+                FROM users u JOIN channels c ON c.id = $2
+                WHERE u.username = ANY($4) AND (
+                    NOT c.is_private 
+                    OR EXISTS (SELECT 1 FROM channel_members m WHERE m.channel_id = c.id AND m.user_id = u.id)
+                )
+                UNION ALL
+                SELECT u.username, CASE WHEN $6 THEN 'channel' ELSE 'here' END, 2 
+                FROM channel_members m JOIN users u ON u.id = m.user_id
+                WHERE m.channel_id = $2 AND NOT u.is_bot AND ($6 OR ($5 AND u.presence <> 'offline'))
+            )
+            INSERT INTO mentions (message_id, channel_id, username, mentioned_by, kind)
+            SELECT DISTINCT ON (username) $1::int, $2::int, username, $3::varchar, kind 
+            FROM candidates WHERE username <> $3::varchar 
+            ORDER BY username, priority
+            ON CONFLICT (message_id, username) DO NOTHING
+            RETURNING *
+        `, [messageId, channelId, mentionedBy, usernames, here, everyone]);
+        return result.rows;
+    },
+
+    // Adds a notification for each recipient who hasn't muted `actor`, the channel or, for private
+    // messages, the conversation. Returns the notifications added.
+    async addNotifications(usernames, { kind, actor, messageId = null, channelId = null, gameId = null, preview = null, details = {} }) {
+        const result = await pool.query(`
+            INSERT INTO notifications (username, kind, actor, message_id, channel_id, game_id, preview, details)
+            SELECT r.username, $2::varchar, $3::varchar, $4::int, $5::int, $6::varchar, $7::text, $8::jsonb 
+            FROM unnest($1::varchar[]) AS r(username)
+            WHERE NOT EXISTS (
+                SELECT 1 FROM notification_mutes nm 
+                WHERE nm.username = r.username AND (
+                    (nm.kind = 'user' AND nm.target = $3)
+                    OR (nm.kind = 'channel' AND nm.target = $5::int::text)
+                    OR (nm.kind = 'conversation' AND $2::varchar = 'private_message' AND nm.target = $3)
+                )
+            )
+            RETURNING *
+        `, [usernames, kind, actor, messageId, channelId, gameId, preview, JSON.stringify(details)]);
+        return result.rows;
+    },
+
+    // Newest first, optionally only unread ones
+    async getNotifications(username, { unreadOnly = false } = {}, limit = 30, offset = 0) {
+        const filter = 'WHERE username = $1 AND (NOT $2 OR read_at IS NULL)';
+        const result = await pool.query(`
+            SELECT * FROM notifications ${filter} 
+            ORDER BY id DESC 
+            LIMIT $3 OFFSET $4
+        `, [username, unreadOnly, limit, offset]);
+        const countResult = await pool.query(`SELECT COUNT(*)::int AS total FROM notifications ${filter}`, [username, unreadOnly]);
+        return { notifications: result.rows, total: countResult.rows[0].total };
+    },
+
+    async getUnreadNotificationCount(username) {
+        const result = await pool.query(
+            'SELECT COUNT(*)::int AS unread FROM notifications WHERE username = $1 AND read_at IS NULL',
+            [username]
+        );
+        return result.rows[0].unread;
+    },
+
+    // Marks unread notifications read: the ones in `ids`, those matching `kind`, `actor` and `gameId`,
+    // or all of them. Returns the ids marked.
+    async markNotificationsRead(username, { ids = null, kind = null, actor = null, gameId = null } = {}) {
+        const result = await pool.query(`
+            UPDATE notifications SET read_at = CURRENT_TIMESTAMP 
+            WHERE username = $1 AND read_at IS NULL 
+            AND ($2::int[] IS NULL OR id = ANY($2)) 
+            AND ($3::varchar IS NULL OR kind = $3) 
+            AND ($4::varchar IS NULL OR actor = $4) 
+            AND ($5::varchar IS NULL OR game_id = $5)
+            RETURNING id
+        `, [username, ids, kind, actor, gameId]);
+        return result.rows.map(row => row.id);
+    },
+
+    async getNotificationMutes(username) {
+        const result = await pool.query(
+            'SELECT * FROM notification_mutes WHERE username = $1 ORDER BY created_at',
+            [username]
+        );
+        return result.rows;
+    },
+
+    async addNotificationMute(username, kind, target) {
+        await pool.query(`
+            INSERT INTO notification_mutes (username, kind, target) VALUES ($1, $2, $3)
+            ON CONFLICT (username, kind, target) DO NOTHING
+        `, [username, kind, target]);
+    },
+
+    async removeNotificationMute(username, kind, target) {
+        const result = await pool.query(
+            'DELETE FROM notification_mutes WHERE username = $1 AND kind = $2 AND target = $3 RETURNING *',
+            [username, kind, target]
+        );
+        return result.rows[0];
+    },
+
     // Session management
-    async createSession(userId, socketId) {
+    async createSession(userId, socketId, serverId) {
         await pool.query(
-            'INSERT INTO user_sessions (user_id, socket_id) VALUES ($1, $2)',
-            [userId, socketId]
+            'INSERT INTO user_sessions (user_id, socket_id, server_id) VALUES ($1, $2, $3)',
+            [userId, socketId, serverId]
         );
     },
 
+    // Records activity on a session; updated_at doubles as the last activity time
+    async touchSession(socketId) {
+        await pool.query('UPDATE user_sessions SET updated_at = CURRENT_TIMESTAMP WHERE socket_id = $1', [socketId]);
+    },
+
     async removeSession(socketId) {
         await pool.query('DELETE FROM user_sessions WHERE socket_id = $1', [socketId]);
+    },
+
+    // How many sessions the user has open on any instance, and how many were active within `idleMs`
+    async getSessionCounts(userId, idleMs) {
+        const result = await pool.query(`
+            SELECT COUNT(*)::int AS sessions,
+                COUNT(*) FILTER (WHERE updated_at > CURRENT_TIMESTAMP - $2::float8 * INTERVAL '1 millisecond')::int AS active
+            FROM user_sessions 
+            WHERE user_id = $1
+        `, [userId, idleMs]);
+        return result.rows[0];
+    },
+
+    async isUserConnected(username) {
+        const result = await pool.query(`
+            SELECT 1 FROM user_sessions s 
+            JOIN users u ON u.id = s.user_id 
+            WHERE u.username = $1 
+            LIMIT 1
+        `, [username]);
+        return result.rows.length > 0;
+    },
+
+    // Sets what others see for a user. Returns the previous value if it changed, otherwise null,
+    // so only one instance announces each change.
+    async setUserPresence(username, presence) {
+        const result = await pool.query(`
+            UPDATE users u 
+            SET presence = $2, is_online = ($2 <> 'offline'), last_seen = CURRENT_TIMESTAMP
+            FROM (SELECT id, presence FROM users WHERE username = $1 FOR UPDATE) previous
+            WHERE u.id = previous.id AND previous.presence <> $2
+            RETURNING previous.presence AS previous
+        `, [username, presence]);
+        return result.rows.length > 0 ? result.rows[0].previous : null;
+    },
+
+    async getPresenceList() {
+        const result = await pool.query(`SELECT username, presence FROM users WHERE presence <> 'offline'`);
+        return result.rows;
+    },
+
+    // Users shown as present whose sessions say otherwise: all sessions gone, or idle
+    // when shown online, or active again when shown away
+    async getStalePresence(idleMs) {
+        const result = await pool.query(`
+            SELECT u.username FROM users u
+            CROSS JOIN LATERAL (
+                SELECT COUNT(*) AS sessions,
+                    COUNT(*) FILTER (WHERE s.updated_at > CURRENT_TIMESTAMP - $1::float8 * INTERVAL '1 millisecond') AS active
+                FROM user_sessions s WHERE s.user_id = u.id
+            ) counts
+            WHERE u.presence <> 'offline' AND (
+                counts.sessions = 0
+                OR (u.status = 'online' AND u.presence = 'online' AND counts.active = 0)
+                OR (u.status = 'online' AND u.presence = 'away' AND counts.active > 0)
+            )
+        `, [idleMs]);
+        return result.rows.map(row => row.username);
+    },
+
+    // Server instances
+    async heartbeatInstance(instanceId) {
+        await pool.query(`
+            INSERT INTO server_instances (id) VALUES ($1)
+            ON CONFLICT (id) DO UPDATE SET last_heartbeat = CURRENT_TIMESTAMP
+        `, [instanceId]);
+    },
+
+    // Sessions an instance left behind before it restarted
+    async clearInstanceSessions(instanceId) {
+        const result = await pool.query('DELETE FROM user_sessions WHERE server_id = $1', [instanceId]);
+        return result.rowCount;
+    },
+
+    // Drops instances that stopped sending heartbeats, along with their sessions
+    async reapDeadInstances(staleMs) {
+        const result = await pool.query(`
+            DELETE FROM user_sessions 
+            WHERE server_id IS NULL OR server_id NOT IN (
+                SELECT id FROM server_instances 
+                WHERE last_heartbeat > CURRENT_TIMESTAMP - $1::float8 * INTERVAL '1 millisecond'
+            )
+        `, [staleMs]);
+        await pool.query(
+            `DELETE FROM server_instances WHERE last_heartbeat <= CURRENT_TIMESTAMP - $1::float8 * INTERVAL '1 millisecond'`,
+            [staleMs]
+        );
+        return result.rowCount;
     }
 };
 
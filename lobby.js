@@ -0,0 +1,198 @@
+// Chess lobby: open challenges anyone can accept, and a seek queue that pairs
+// players with similar ratings. Both live in the database so every server instance
+// sees the same lobby; the server broadcasts changes.
+const crypto = require('crypto');
+const { db } = require('./database');
+
+const CHALLENGE_TTL_MS = 10 * 60 * 1000;
+const MAX_CHALLENGES_PER_USER = 3;
+
+// A seek starts by accepting opponents within 100 points and widens over time
+const SEEK_START_WINDOW = 100;
+const SEEK_WINDOW_STEP = 50;
+const SEEK_WINDOW_INTERVAL_MS = 10 * 1000;
+const SEEK_MAX_WINDOW = 500;
+
+const COLORS = ['white', 'black', 'random'];
+
+// Raised for lobby requests that can't be honoured
+class LobbyError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'LobbyError';
+    }
+}
+
+function challengeFromRow(row) {
+    return {
+        id: row.id,
+        from: row.from_player,
+        rating: row.rating,
+        timeControl: row.time_control,
+        color: row.color,
+        rated: row.rated,
+        createdAt: new Date(row.created_at).getTime(),
+        expiresAt: new Date(row.expires_at).getTime()
+    };
+}
+
+function seekFromRow(row) {
+    return {
+        username: row.username,
+        rating: row.rating,
+        timeControl: row.time_control,
+        rated: row.rated,
+        createdAt: new Date(row.created_at).getTime()
+    };
+}
+
+// Open challenges
+async function createChallenge({ username, rating, timeControl, color = 'random', rated = false }, now = Date.now()) {
+    if (!COLORS.includes(color)) {
+        throw new LobbyError('Colour must be white, black or random');
+    }
+    if (await db.countLobbyChallenges(username) >= MAX_CHALLENGES_PER_USER) {
+        throw new LobbyError(`You can have at most ${MAX_CHALLENGES_PER_USER} open challenges`);
+    }
+
+    const row = await db.createLobbyChallenge({
+        id: crypto.randomUUID(),
+        from: username,
+        rating,
+        timeControl,
+        color,
+        rated,
+        expiresAt: new Date(now + CHALLENGE_TTL_MS)
+    });
+    return challengeFromRow(row);
+}
+
+// Takes a challenge off the board for `acceptor`; only one player can win it
+async function acceptChallenge(challengeId, acceptor) {
+    const row = await db.takeLobbyChallenge(challengeId, acceptor);
+    if (row) return challengeFromRow(row);
+
+    const existing = await db.getLobbyChallenge(challengeId);
+    if (existing && existing.from_player === acceptor) {
+        throw new LobbyError('You can\'t accept your own challenge');
+    }
+    throw new LobbyError('That challenge is no longer open');
+}
+
+// Returns the cancelled challenge, or null if `username` had no such challenge
+async function cancelChallenge(challengeId, username) {
+    const row = await db.deleteLobbyChallenge(challengeId, username);
+    return row ? challengeFromRow(row) : null;
+}
+
+async function removeChallengesBy(username) {
+    const rows = await db.deleteLobbyChallengesBy(username);
+    return rows.map(challengeFromRow);
+}
+
+async function listChallenges() {
+    const rows = await db.getLobbyChallenges();
+    return rows.map(challengeFromRow);
+}
+
+async function expireChallenges() {
+    const rows = await db.expireLobbyChallenges();
+    return rows.map(challengeFromRow);
+}
+
+// Resolves who plays white once `acceptor` takes the challenge
+function assignColors(challenge, acceptor) {
+    const challengerIsWhite = challenge.color === 'random' ? Math.random() < 0.5 : challenge.color === 'white';
+    return challengerIsWhite
+        ? { whitePlayer: challenge.from, blackPlayer: acceptor }
+        : { whitePlayer: acceptor, blackPlayer: challenge.from };
+}
+
+// Client-facing view of a challenge
+function describeChallenge(challenge) {
+    return {
+        challengeId: challenge.id,
+        from: challenge.from,
+        rating: challenge.rating,
+        timeControl: challenge.timeControl && challenge.timeControl.label,
+        color: challenge.color,
+        rated: challenge.rated,
+        expiresAt: new Date(challenge.expiresAt).toISOString()
+    };
+}
+
+// Seek queue
+async function addSeek({ username, rating, timeControl, rated = false }) {
+    const row = await db.saveLobbySeek({ username, rating, timeControl, rated });
+    return seekFromRow(row);
+}
+
+async function removeSeek(username) {
+    const row = await db.deleteLobbySeek(username);
+    return row ? seekFromRow(row) : null;
+}
+
+function seekCount() {
+    return db.countLobbySeeks();
+}
+
+function ratingWindow(seek, now = Date.now()) {
+    const steps = Math.floor((now - seek.createdAt) / SEEK_WINDOW_INTERVAL_MS);
+    return Math.min(SEEK_START_WINDOW + steps * SEEK_WINDOW_STEP, SEEK_MAX_WINDOW);
+}
+
+function sameTimeControl(a, b) {
+    return (a ? a.label : null) === (b ? b.label : null);
+}
+
+// Pairs waiting seeks (oldest first) whose settings match and whose ratings fall inside both windows
+function findPairs(waiting, now) {
+    const pairs = [];
+    const paired = new Set();
+
+    for (const seek of waiting) {
+        if (paired.has(seek.username)) continue;
+
+        let best = null;
+        for (const other of waiting) {
+            if (other === seek || paired.has(other.username)) continue;
+            if (other.rated !== seek.rated || !sameTimeControl(other.timeControl, seek.timeControl)) continue;
+
+            const gap = Math.abs(other.rating - seek.rating);
+            if (gap > ratingWindow(seek, now) || gap > ratingWindow(other, now)) continue;
+            if (!best || gap < Math.abs(best.rating - seek.rating)) best = other;
+        }
+
+        if (best) {
+            paired.add(seek.username);
+            paired.add(best.username);
+            pairs.push([seek, best]);
+        }
+    }
+    return pairs;
+}
+
+// Removes matched seeks from the queue and returns them as [seekA, seekB] pairs
+async function matchSeeks(now = Date.now()) {
+    const rowPairs = await db.pairLobbySeeks((rows) => {
+        const seeks = rows.map(seekFromRow);
+        return findPairs(seeks, now).map(pair => pair.map(seek => rows[seeks.indexOf(seek)]));
+    });
+    return rowPairs.map(pair => pair.map(seekFromRow));
+}
+
+module.exports = {
+    LobbyError,
+    createChallenge,
+    acceptChallenge,
+    cancelChallenge,
+    removeChallengesBy,
+    listChallenges,
+    expireChallenges,
+    assignColors,
+    describeChallenge,
+    addSeek,
+    removeSeek,
+    seekCount,
+    matchSeeks
+};
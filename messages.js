@@ -0,0 +1,274 @@
+// Rules for changing sent messages. Authors can edit their own text messages, optionally only
+// within MESSAGE_EDIT_WINDOW_MS of sending them; every earlier version is kept in message_edits.
+// Anyone who can see a message can react to it once per emoji. History is read a page at a time,
+// and search covers the channels a user belongs to and their own private conversations.
+const { db } = require('./database');
+const attachments = require('./attachments');
+const channels = require('./channels');
+
+const EDIT_WINDOW_MS = parseInt(process.env.MESSAGE_EDIT_WINDOW_MS) || null;
+const EDITABLE_TYPES = ['text', 'action', 'private'];
+
+// Reactions use one of these or a registered custom emoji written as :name:
+const STANDARD_EMOJI = ['👍', '👎', '❤️', '😂', '😮', '😢', '🎉', '🔥', '👀', '✅', '🙏', '♟️'];
+const CUSTOM_EMOJI_PATTERN = /^:([a-z0-9_-]{2,32}):$/;
+
+const PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+const SEARCH_PAGE_SIZE = 20;
+const SEARCH_SCOPES = ['all', 'channels', 'private'];
+const MESSAGE_TYPES = ['text', 'action', 'private', 'file', 'system'];
+// ts_headline wraps matched words in these; they become <mark> once the snippet is HTML-escaped
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+const HIGHLIGHT_OPTIONS = `StartSel=${MATCH_START}, StopSel=${MATCH_END}, MinWords=10, MaxWords=30, MaxFragments=2, FragmentDelimiter=" ... "`;
+
+// Raised for message requests that can't be honoured; status is used by REST routes
+class MessageError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'MessageError';
+        this.status = status;
+    }
+}
+
+async function getMessage(messageId) {
+    const id = parseInt(messageId);
+    const message = Number.isInteger(id) ? await db.getMessageById(id) : null;
+    if (!message) throw new MessageError('Message not found', 404);
+    return message;
+}
+
+// The message, provided `user` can see it: a member of its channel or either side of a private message
+async function requireVisible(user, messageId) {
+    const message = await getMessage(messageId);
+    const visible = message.is_private
+        ? message.username === user.username || message.target_username === user.username
+        : Boolean(message.channel_id) && await db.isChannelMember(message.channel_id, user.id);
+    if (!visible) throw new MessageError('Message not found', 404);
+    return message;
+}
+
+async function editMessage(user, messageId, text) {
+    if (typeof text !== 'string' || !text.trim()) {
+        throw new MessageError('Message can\'t be empty');
+    }
+
+    const message = await getMessage(messageId);
+    if (message.username !== user.username) {
+        throw new MessageError('You can only edit your own messages', 403);
+    }
+    if (!EDITABLE_TYPES.includes(message.message_type)) {
+        throw new MessageError('This message can\'t be edited');
+    }
+    if (EDIT_WINDOW_MS && Date.now() - new Date(message.created_at).getTime() > EDIT_WINDOW_MS) {
+        const minutes = Math.max(Math.round(EDIT_WINDOW_MS / 60000), 1);
+        throw new MessageError(`Messages can only be edited within ${minutes} minutes of sending`, 403);
+    }
+
+    // The update checks the author and window again and saves the replaced text in the same statement
+    const edited = await db.editMessage(message.id, user.username, text, EDIT_WINDOW_MS);
+    if (!edited) throw new MessageError('Message not found', 404);
+    return edited;
+}
+
+async function requireEmoji(emoji) {
+    if (STANDARD_EMOJI.includes(emoji)) return;
+
+    const match = typeof emoji === 'string' && emoji.match(CUSTOM_EMOJI_PATTERN);
+    if (!match || !await db.getCustomEmoji(match[1])) {
+        throw new MessageError('That emoji isn\'t available');
+    }
+}
+
+// Adds or removes `user`'s reaction. Returns the message, whether the reaction was added and the new counts.
+async function toggleReaction(user, messageId, emoji) {
+    const message = await requireVisible(user, messageId);
+    await requireEmoji(emoji);
+
+    const added = await db.toggleReaction(message.id, user.id, emoji);
+    const counts = await db.getReactionCounts([message.id]);
+    return { message, added, reactions: counts.map(({ emoji, count }) => ({ emoji, count })) };
+}
+
+// Prepares message rows for `user`: adds `reactions` ([{ emoji, count, reactedByMe }]) and the
+// `attachment` metadata of file messages, and leaves out any file contents still stored inline
+async function forViewer(rows, user) {
+    if (rows.length === 0) return rows;
+
+    const counts = await db.getReactionCounts(rows.map(row => row.id), user.id);
+    const attachmentIds = rows.map(row => row.attachment_id).filter(Boolean);
+    const attached = attachmentIds.length > 0 ? await db.getAttachmentsByIds(attachmentIds) : [];
+
+    return rows.map(({ file_data, search_vector, ...row }) => {
+        const attachment = attached.find(candidate => candidate.id === row.attachment_id);
+        return {
+            ...row,
+            attachment: attachment ? attachments.describeAttachment(attachment) : null,
+            reactions: counts
+                .filter(count => count.message_id === row.id)
+                .map(count => ({ emoji: count.emoji, count: count.count, reactedByMe: count.reacted_by_me }))
+        };
+    });
+}
+
+// A cursor is a message id or an ISO timestamp
+function parseCursor(cursor) {
+    if (cursor === undefined || cursor === null || cursor === '') return {};
+    if (/^\d+$/.test(String(cursor))) return { id: parseInt(cursor) };
+
+    const time = new Date(cursor);
+    if (Number.isNaN(time.getTime())) throw new MessageError('Invalid cursor');
+    return { time };
+}
+
+// Query options for one page of history from client-supplied `before`, `after` and `limit`
+function pageOptions({ before, after, limit } = {}) {
+    const beforeCursor = parseCursor(before);
+    const afterCursor = parseCursor(after);
+    const size = parseInt(limit);
+    return {
+        beforeId: beforeCursor.id ?? null,
+        beforeTime: beforeCursor.time ?? null,
+        afterId: afterCursor.id ?? null,
+        afterTime: afterCursor.time ?? null,
+        limit: Number.isInteger(size) && size > 0 ? Math.min(size, MAX_PAGE_SIZE) : PAGE_SIZE
+    };
+}
+
+// Reads one page with `fetchRows(options)`, asking for one row more than the page holds to learn
+// whether there is more. Returns the rows oldest first, with `prevCursor` to pass as `before` for
+// older messages and `nextCursor` to pass as `after` for newer ones (null when there are none).
+async function loadPage(fetchRows, options) {
+    const forward = (options.afterId !== null || options.afterTime !== null)
+        && options.beforeId === null && options.beforeTime === null;
+    const rows = await fetchRows({ ...options, limit: options.limit + 1 });
+    const hasMore = rows.length > options.limit;
+    const page = rows.slice(0, options.limit);
+    if (!forward) page.reverse();
+
+    if (page.length === 0) return { messages: page, prevCursor: null, nextCursor: null };
+    const oldest = page[0].id;
+    const newest = page[page.length - 1].id;
+    const bounded = options.beforeId !== null || options.beforeTime !== null;
+    return {
+        messages: page,
+        prevCursor: forward || hasMore ? oldest : null,
+        nextCursor: forward ? (hasMore ? newest : null) : (bounded ? newest : null)
+    };
+}
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// A search snippet as HTML: the message text escaped, with matched words in <mark>
+function highlight(snippet) {
+    return escapeHtml(snippet || '')
+        .split(MATCH_START).join('<mark>')
+        .split(MATCH_END).join('</mark>');
+}
+
+function parseDate(value, name) {
+    if (value === undefined || value === null || value === '') return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw new MessageError(`Invalid ${name} date`);
+    return date;
+}
+
+function parseFlag(value) {
+    if (value === undefined || value === null || value === '') return null;
+    return value === true || value === 'true' || value === '1';
+}
+
+// Searches what `user` can see: messages in their channels and their own private conversations.
+// `q` uses web search syntax ("quoted phrases", -excluded, or). Narrow it with `channel`, `with`
+// (one private conversation), `scope` ('channels' or 'private'), `author`, `from`/`to`, `type`
+// and `hasAttachment`. Results are ranked best first, a page at a time.
+async function search(user, { q, channel, with: partner, scope = 'all', author, from, to, type, hasAttachment, page, limit } = {}) {
+    const searchTerm = typeof q === 'string' ? q.trim() : '';
+    if (!searchTerm) throw new MessageError('Search term is required');
+    if (!SEARCH_SCOPES.includes(scope)) {
+        throw new MessageError(`Search scope must be one of ${SEARCH_SCOPES.join(', ')}`);
+    }
+    if (type && !MESSAGE_TYPES.includes(type)) {
+        throw new MessageError(`Message type must be one of ${MESSAGE_TYPES.join(', ')}`);
+    }
+    if (channel && partner) throw new MessageError('Search either a channel or a conversation, not both');
+
+    // One channel if asked for, otherwise every channel the user belongs to; none for a conversation
+    let channelIds = [];
+    if (channel) {
+        channelIds = [(await channels.requireMember(user, channel)).id];
+    } else if (!partner && scope !== 'private') {
+        channelIds = await db.getUserChannelIds(user.id);
+    }
+    const includePrivate = !channel && scope !== 'channels';
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const size = Math.min(Math.max(parseInt(limit) || SEARCH_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const { results, total } = await db.searchMessages(searchTerm, {
+        channelIds,
+        participant: includePrivate ? user.username : null,
+        partner: partner || null,
+        author: author || null,
+        from: parseDate(from, 'from'),
+        to: parseDate(to, 'to'),
+        type: type || null,
+        hasAttachment: parseFlag(hasAttachment)
+    }, HIGHLIGHT_OPTIONS, size, (pageNumber - 1) * size);
+
+    const viewed = await forViewer(results, user);
+    return {
+        query: searchTerm,
+        page: pageNumber,
+        limit: size,
+        total,
+        results: viewed.map(({ snippet, ...message }) => ({ ...message, snippet: highlight(snippet) }))
+    };
+}
+
+async function registerEmoji(user, { name, imageUrl }) {
+    const emojiName = String(name || '').trim().replace(/^:|:$/g, '').toLowerCase();
+    if (!CUSTOM_EMOJI_PATTERN.test(`:${emojiName}:`)) {
+        throw new MessageError('Emoji names are 2-32 lowercase letters, digits, - or _');
+    }
+    if (typeof imageUrl !== 'string' || !/^https?:\/\/\S+$/.test(imageUrl)) {
+        throw new MessageError('Custom emoji need an http(s) image URL');
+    }
+
+    try {
+        return await db.createCustomEmoji({ name: emojiName, imageUrl, createdBy: user.username });
+    } catch (error) {
+        if (error.code === '23505') throw new MessageError(`:${emojiName}: already exists`, 409);
+        throw error;
+    }
+}
+
+// Client-facing view of a custom emoji row
+function describeEmoji(emoji) {
+    return {
+        name: emoji.name,
+        code: `:${emoji.name}:`,
+        imageUrl: emoji.image_url,
+        createdBy: emoji.created_by
+    };
+}
+
+module.exports = {
+    EDIT_WINDOW_MS,
+    STANDARD_EMOJI,
+    PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    MessageError,
+    requireVisible,
+    editMessage,
+    toggleReaction,
+    forViewer,
+    pageOptions,
+    loadPage,
+    search,
+    registerEmoji,
+    describeEmoji
+};
@@ -0,0 +1,291 @@
+// Roles and moderation. Everyone is a member; moderators can delete channel messages, mute and kick,
+// admins can also ban and appoint moderators, and the owner (OWNER_USERNAME) can appoint admins.
+// Nobody can act on someone of their own rank or higher. Every action goes into the audit log.
+const { db } = require('./database');
+
+const OWNER_USERNAME = process.env.OWNER_USERNAME || null;
+const ROLES = ['member', 'moderator', 'admin', 'owner'];
+const ASSIGNABLE_ROLES = ['member', 'moderator', 'admin'];
+const MAX_MUTE_MINUTES = 30 * 24 * 60;
+const MAX_REASON_LENGTH = 500;
+const AUDIT_PAGE_SIZE = 50;
+
+// Raised for moderation requests that can't be honoured, and for muted or banned users trying
+// to post; status is used by REST routes
+class ModerationError extends Error {
+    constructor(message, status = 403) {
+        super(message);
+        this.name = 'ModerationError';
+        this.status = status;
+    }
+}
+
+// The owner is named by OWNER_USERNAME rather than stored, so it can't be given away by accident
+function roleOf(user) {
+    if (OWNER_USERNAME && user.username === OWNER_USERNAME) return 'owner';
+    return ROLES.includes(user.role) ? user.role : 'member';
+}
+
+function rank(role) {
+    return ROLES.indexOf(role);
+}
+
+// True when a stored user's role is `role` or above
+function hasRole(user, role) {
+    return rank(roleOf(user)) >= rank(role);
+}
+
+function isBanned(user) {
+    return Boolean(user.banned_at) && (!user.ban_expires_at || new Date(user.ban_expires_at) > new Date());
+}
+
+function isMuted(user) {
+    return Boolean(user.muted_until) && new Date(user.muted_until) > new Date();
+}
+
+async function getUser(username) {
+    const user = typeof username === 'string' ? await db.getUserByUsername(username) : null;
+    if (!user) throw new ModerationError('User not found', 404);
+    return user;
+}
+
+// The stored user behind `user` (from a token), provided their role is at least `role`
+async function requireRole(user, role) {
+    const actor = await db.getUserById(user.id);
+    if (!actor || rank(roleOf(actor)) < rank(role)) {
+        throw new ModerationError(`Only ${role}s and above can do that`);
+    }
+    return actor;
+}
+
+// Checked by every handler that posts, edits or reacts
+async function requireCanPost(user) {
+    const stored = await db.getUserById(user.id);
+    if (!stored || isBanned(stored)) throw new ModerationError('You are banned');
+    if (isMuted(stored)) {
+        throw new ModerationError(`You are muted until ${new Date(stored.muted_until).toISOString()}`);
+    }
+}
+
+// `username`'s account, provided `actor` outranks them
+async function requireOutranked(actor, username) {
+    const target = await getUser(username);
+    if (target.id === actor.id) throw new ModerationError('You can\'t moderate yourself', 400);
+    if (rank(roleOf(target)) >= rank(roleOf(actor))) {
+        throw new ModerationError(`You can't moderate a ${roleOf(target)}`);
+    }
+    return target;
+}
+
+function cleanReason(reason) {
+    const text = typeof reason === 'string' ? reason.trim() : '';
+    if (text.length > MAX_REASON_LENGTH) {
+        throw new ModerationError(`Reasons can be at most ${MAX_REASON_LENGTH} characters`, 400);
+    }
+    return text || null;
+}
+
+function parseMinutes(minutes, { required }) {
+    if (!required && (minutes === undefined || minutes === null || minutes === '')) return null;
+    const value = Number(minutes);
+    if (!Number.isFinite(value) || value <= 0 || value > MAX_MUTE_MINUTES) {
+        throw new ModerationError(`Durations are 1 to ${MAX_MUTE_MINUTES} minutes`, 400);
+    }
+    return value;
+}
+
+function record(actor, action, fields) {
+    return db.addAuditEntry({ actor: actor.username, action, ...fields });
+}
+
+// Authors can delete their own messages; moderators can delete channel messages by anyone they outrank.
+// Returns the deleted message and, for a moderator's delete, its audit entry.
+async function deleteMessage(user, messageId, reason) {
+    const id = parseInt(messageId);
+    const message = Number.isInteger(id) ? await db.getMessageById(id) : null;
+    if (!message) throw new ModerationError('Message not found', 404);
+
+    if (message.username === user.username) {
+        return { message: await db.deleteMessage(message.id, user.username), entry: null };
+    }
+
+    const actor = await requireRole(user, 'moderator');
+    const note = cleanReason(reason);
+    if (message.is_private) throw new ModerationError('Message not found', 404);
+    const author = await db.getUserByUsername(message.username);
+    if (author && rank(roleOf(author)) >= rank(roleOf(actor))) {
+        throw new ModerationError(`You can't delete a ${roleOf(author)}'s message`);
+    }
+
+    const deleted = await db.deleteMessage(message.id);
+    if (!deleted) throw new ModerationError('Message not found', 404);
+    const entry = await record(actor, 'delete_message', {
+        targetUsername: deleted.username,
+        messageId: deleted.id,
+        channelId: deleted.channel_id,
+        reason: note,
+        details: { message: deleted.message }
+    });
+    return { message: deleted, entry };
+}
+
+async function mute(user, username, { minutes, reason } = {}) {
+    const actor = await requireRole(user, 'moderator');
+    const note = cleanReason(reason);
+    const target = await requireOutranked(actor, username);
+    const duration = parseMinutes(minutes, { required: true });
+
+    const muted = await db.setUserMute(target.id, new Date(Date.now() + duration * 60 * 1000));
+    const entry = await record(actor, 'mute', {
+        targetUsername: target.username,
+        reason: note,
+        details: { minutes: duration, until: muted.muted_until }
+    });
+    return { target: muted, entry };
+}
+
+async function unmute(user, username, { reason } = {}) {
+    const actor = await requireRole(user, 'moderator');
+    const note = cleanReason(reason);
+    const target = await requireOutranked(actor, username);
+
+    const unmuted = await db.setUserMute(target.id, null);
+    const entry = await record(actor, 'unmute', { targetUsername: target.username, reason: note });
+    return { target: unmuted, entry };
+}
+
+// Mutes without a moderator, e.g. for flooding. Recorded in the audit log as done by 'system'.
+async function autoMute(username, minutes, reason) {
+    const target = await getUser(username);
+    const muted = await db.setUserMute(target.id, new Date(Date.now() + minutes * 60 * 1000));
+    await db.addAuditEntry({
+        actor: 'system',
+        action: 'mute',
+        targetUsername: target.username,
+        reason,
+        details: { minutes, until: muted.muted_until }
+    });
+    return muted;
+}
+
+// Kicking only signs the user out of every session, so they have to log in again; the caller
+// disconnects their sockets
+async function kick(user, username, { reason } = {}) {
+    const actor = await requireRole(user, 'moderator');
+    const note = cleanReason(reason);
+    const target = await requireOutranked(actor, username);
+
+    await db.signOutUser(target.id, new Date());
+    await db.revokeUserRefreshTokens(target.id);
+    const entry = await record(actor, 'kick', { targetUsername: target.username, reason: note });
+    return { target, entry };
+}
+
+// Bans last `minutes`, or until lifted when no duration is given. Refresh tokens are revoked so
+// the user can't sign back in; the caller disconnects their sockets.
+async function ban(user, username, { minutes, reason } = {}) {
+    const actor = await requireRole(user, 'admin');
+    const note = cleanReason(reason);
+    const target = await requireOutranked(actor, username);
+    const duration = parseMinutes(minutes, { required: false });
+
+    const banned = await db.banUser(target.id, duration ? new Date(Date.now() + duration * 60 * 1000) : null);
+    await db.revokeUserRefreshTokens(target.id);
+    const entry = await record(actor, 'ban', {
+        targetUsername: target.username,
+        reason: note,
+        details: { minutes: duration, until: banned.ban_expires_at }
+    });
+    return { target: banned, entry };
+}
+
+async function unban(user, username, { reason } = {}) {
+    const actor = await requireRole(user, 'admin');
+    const note = cleanReason(reason);
+    const target = await requireOutranked(actor, username);
+
+    const unbanned = await db.unbanUser(target.id);
+    const entry = await record(actor, 'unban', { targetUsername: target.username, reason: note });
+    return { target: unbanned, entry };
+}
+
+// Admins appoint moderators; only the owner appoints admins
+async function setRole(user, username, { role, reason } = {}) {
+    const actor = await requireRole(user, 'admin');
+    const note = cleanReason(reason);
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+        throw new ModerationError(`Role must be one of ${ASSIGNABLE_ROLES.join(', ')}`, 400);
+    }
+    if (rank(role) >= rank(roleOf(actor))) throw new ModerationError(`You can't appoint a ${role}`);
+    const target = await requireOutranked(actor, username);
+    const previous = roleOf(target);
+
+    const updated = await db.setUserRole(target.id, role);
+    const entry = await record(actor, 'set_role', {
+        targetUsername: target.username,
+        reason: note,
+        details: { from: previous, to: role }
+    });
+    return { target: updated, entry };
+}
+
+// The audit log for admins, newest first, filtered by `actor`, `target` and `action`
+async function getAuditLog(user, { actor, target, action, page, limit } = {}) {
+    await requireRole(user, 'admin');
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const size = Math.min(Math.max(parseInt(limit) || AUDIT_PAGE_SIZE, 1), 100);
+    const { entries, total } = await db.getAuditLog(
+        { actor: actor || null, target: target || null, action: action || null },
+        size,
+        (pageNumber - 1) * size
+    );
+    return { page: pageNumber, limit: size, total, entries: entries.map(describeEntry) };
+}
+
+// Client-facing view of an audit log row
+function describeEntry(entry) {
+    return {
+        id: entry.id,
+        actor: entry.actor,
+        action: entry.action,
+        target: entry.target_username,
+        messageId: entry.message_id,
+        channelId: entry.channel_id,
+        reason: entry.reason,
+        details: entry.details,
+        createdAt: entry.created_at
+    };
+}
+
+// Moderation state of a user, as shown to moderators and to the user themselves
+function describeStanding(user) {
+    return {
+        username: user.username,
+        role: roleOf(user),
+        mutedUntil: isMuted(user) ? user.muted_until : null,
+        banned: isBanned(user),
+        banExpiresAt: isBanned(user) ? user.ban_expires_at : null
+    };
+}
+
+module.exports = {
+    ROLES,
+    ModerationError,
+    roleOf,
+    hasRole,
+    isBanned,
+    isMuted,
+    requireRole,
+    requireCanPost,
+    deleteMessage,
+    mute,
+    unmute,
+    autoMute,
+    kick,
+    ban,
+    unban,
+    setRole,
+    getAuditLog,
+    describeEntry,
+    describeStanding
+};
@@ -0,0 +1,203 @@
+// Mentions and the notification inbox. @username, @here (members who are online) and @channel (every
+// member) are parsed out of channel messages when they are saved or edited and stored in `mentions`.
+// Mentions, private messages received while offline and chess invites land in the recipient's inbox,
+// unless they have muted whoever caused them, the channel or the private conversation.
+const { db } = require('./database');
+const channels = require('./channels');
+
+const MENTION_PATTERN = /(^|[^\w@])@([A-Za-z0-9_]{3,30})(?!\w)/g;
+const MUTE_KINDS = ['user', 'channel', 'conversation'];
+const PREVIEW_LENGTH = 140;
+const INBOX_PAGE_SIZE = 30;
+
+// Raised for inbox and mute requests that can't be honoured; status is used by REST routes
+class NotificationError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'NotificationError';
+        this.status = status;
+    }
+}
+
+// The names a message mentions, and whether it mentions @here or @channel
+function parseMentions(text) {
+    const names = typeof text === 'string' ? Array.from(text.matchAll(MENTION_PATTERN), match => match[2]) : [];
+    const lowered = names.map(name => name.toLowerCase());
+    return {
+        usernames: Array.from(new Set(names.filter(name => !['here', 'channel'].includes(name.toLowerCase())))),
+        here: lowered.includes('here'),
+        everyone: lowered.includes('channel')
+    };
+}
+
+function preview(text) {
+    if (typeof text !== 'string') return null;
+    return text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH - 1)}…` : text;
+}
+
+// Stores the mentions in a channel message and returns the ones that are new, so an edit only
+// reaches people it newly mentions. @here and @channel only count from people who manage the channel.
+async function recordMentions(message) {
+    if (!message.channel_id || message.is_private) return [];
+    const { usernames, here, everyone } = parseMentions(message.message);
+    if (usernames.length === 0 && !here && !everyone) return [];
+
+    let broadcast = here || everyone;
+    if (broadcast) {
+        const author = await db.getUserByUsername(message.username);
+        broadcast = Boolean(author) && await channels.canManage(author, await channels.getChannel(message.channel_id));
+    }
+
+    return db.saveMentions({
+        messageId: message.id,
+        channelId: message.channel_id,
+        mentionedBy: message.username,
+        usernames,
+        here: broadcast && here,
+        everyone: broadcast && everyone
+    });
+}
+
+// Puts `mentions` of `message` in the mentioned people's inboxes; returns the notifications added
+async function notifyMentions(message, mentions) {
+    const added = [];
+    for (const kind of ['user', 'here', 'channel']) {
+        const recipients = mentions.filter(mention => mention.kind === kind).map(mention => mention.username);
+        if (recipients.length === 0) continue;
+        added.push(...await db.addNotifications(recipients, {
+            kind: 'mention',
+            actor: message.username,
+            messageId: message.id,
+            channelId: message.channel_id,
+            preview: preview(message.message),
+            details: { mention: kind }
+        }));
+    }
+    return added;
+}
+
+// A private message for a recipient who wasn't connected when it was sent
+async function notifyPrivateMessage(message) {
+    const [notification] = await db.addNotifications([message.target_username], {
+        kind: 'private_message',
+        actor: message.username,
+        messageId: message.id,
+        preview: preview(message.message)
+    });
+    return notification || null;
+}
+
+async function notifyChessInvite({ gameId, from, to, timeControl, rated }) {
+    const [notification] = await db.addNotifications([to], {
+        kind: 'chess_invite',
+        actor: from,
+        gameId,
+        details: { timeControl: timeControl ? timeControl.label : null, rated }
+    });
+    return notification || null;
+}
+
+// The inbox, newest first; `unread=true` leaves out what has been read
+async function getInbox(user, { unread, page, limit } = {}) {
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const size = Math.min(Math.max(parseInt(limit) || INBOX_PAGE_SIZE, 1), 100);
+    const { notifications, total } = await db.getNotifications(
+        user.username,
+        { unreadOnly: unread === true || unread === 'true' },
+        size,
+        (pageNumber - 1) * size
+    );
+    return {
+        page: pageNumber,
+        limit: size,
+        total,
+        unread: await db.getUnreadNotificationCount(user.username),
+        notifications: notifications.map(describeNotification)
+    };
+}
+
+// Marks the notifications in `ids` read, or every one when `ids` is left out.
+// Returns the ids marked and how many are still unread.
+async function markRead(user, ids) {
+    if (ids !== undefined && ids !== null) {
+        if (!Array.isArray(ids) || !ids.every(id => Number.isInteger(id))) {
+            throw new NotificationError('ids must be a list of notification ids');
+        }
+    }
+    const marked = await db.markNotificationsRead(user.username, { ids: ids || null });
+    return { ids: marked, unread: await db.getUnreadNotificationCount(user.username) };
+}
+
+// Mutes are stored against a username or a channel id
+async function muteTarget(user, kind, target) {
+    if (!MUTE_KINDS.includes(kind)) {
+        throw new NotificationError(`Mute kind must be one of ${MUTE_KINDS.join(', ')}`);
+    }
+    if (kind === 'channel') {
+        const channel = await channels.getChannel(target);
+        if (channel.is_private) await channels.requireMember(user, channel.id);
+        return String(channel.id);
+    }
+
+    const other = typeof target === 'string' ? await db.getUserByUsername(target) : null;
+    if (!other || other.username === user.username) throw new NotificationError('User not found', 404);
+    return other.username;
+}
+
+async function getMutes(user) {
+    const mutes = await db.getNotificationMutes(user.username);
+    const targets = (kind) => mutes.filter(mute => mute.kind === kind).map(mute => mute.target);
+    return {
+        users: targets('user'),
+        channels: targets('channel').map(id => parseInt(id)),
+        conversations: targets('conversation')
+    };
+}
+
+// Muting a user silences everything they cause; a channel, its mentions; a conversation, the
+// private messages in it
+async function mute(user, { kind, target } = {}) {
+    await db.addNotificationMute(user.username, kind, await muteTarget(user, kind, target));
+    return getMutes(user);
+}
+
+async function unmute(user, { kind, target } = {}) {
+    if (!MUTE_KINDS.includes(kind)) throw new NotificationError('Mute not found', 404);
+    const key = kind === 'channel' ? String(parseInt(target)) : String(target);
+    if (!await db.removeNotificationMute(user.username, kind, key)) {
+        throw new NotificationError('Mute not found', 404);
+    }
+    return getMutes(user);
+}
+
+// Client-facing view of a notification row
+function describeNotification(notification) {
+    return {
+        id: notification.id,
+        kind: notification.kind,
+        from: notification.actor,
+        messageId: notification.message_id,
+        channelId: notification.channel_id,
+        gameId: notification.game_id,
+        preview: notification.preview,
+        details: notification.details,
+        readAt: notification.read_at,
+        createdAt: notification.created_at
+    };
+}
+
+module.exports = {
+    MUTE_KINDS,
+    NotificationError,
+    parseMentions,
+    recordMentions,
+    notifyMentions,
+    notifyPrivateMessage,
+    notifyChessInvite,
+    getInbox,
+    markRead,
+    getMutes,
+    mute,
+    unmute,
+    describeNotification
+};
@@ -0,0 +1,42 @@
+// User presence across devices and server instances. A user is online while any of their
+// sessions is open. The status they choose decides what others see, and an online user
+// whose sessions have all been idle for IDLE_TIMEOUT_MS shows as away until they do something.
+
+const STATUSES = ['online', 'away', 'dnd', 'invisible'];
+const IDLE_TIMEOUT_MS = parseInt(process.env.IDLE_TIMEOUT_MS) || 5 * 60 * 1000;
+
+// Activity is written to the session at most this often
+const ACTIVITY_WRITE_INTERVAL_MS = Math.min(60 * 1000, IDLE_TIMEOUT_MS / 2);
+
+const lastRecorded = new Map(); // socketId -> when the socket's activity was last written
+
+function isStatus(status) {
+    return STATUSES.includes(status);
+}
+
+// True when the socket's activity is due to be written to its session
+function shouldRecordActivity(socketId, now = Date.now()) {
+    if (now - (lastRecorded.get(socketId) || 0) < ACTIVITY_WRITE_INTERVAL_MS) return false;
+    lastRecorded.set(socketId, now);
+    return true;
+}
+
+function forget(socketId) {
+    lastRecorded.delete(socketId);
+}
+
+// What other users see: 'offline', 'online', 'away' or 'dnd'. Invisible users appear offline.
+function visibleStatus(chosenStatus, sessionCount, idle) {
+    if (sessionCount === 0 || chosenStatus === 'invisible') return 'offline';
+    if (chosenStatus === 'dnd' || chosenStatus === 'away') return chosenStatus;
+    return idle ? 'away' : 'online';
+}
+
+module.exports = {
+    STATUSES,
+    IDLE_TIMEOUT_MS,
+    isStatus,
+    shouldRecordActivity,
+    forget,
+    visibleStatus
+};
@@ -0,0 +1,227 @@
+// Flood protection. Socket events and REST routes draw from token buckets kept per user and per IP,
+// message text and event payloads have size caps, and a user who keeps sending the same message is
+// warned and then muted for a while. Buckets live in this
+// process: each instance limits the clients connected to it.
+const proxyaddr = require('proxy-addr');
+const moderation = require('./moderation');
+
+// [capacity, tokens refilled per second] for each user and each IP address. IP limits are set well
+// above user limits so people sharing an address behind a NAT aren't held to one user's. Socket events are keyed by name ('event' covers the rest), REST routes by method and
+// the first one or two path segments after /api, the longer name winning ('api' covers the rest).
+// RATE_LIMITS (JSON in the same shape) overrides any of these; null turns a limit off.
+const DEFAULT_RULES = {
+    'chat message': { user: [10, 1], ip: [100, 10] },
+    'private message': { user: [10, 1], ip: [100, 10] },
+    'file message': { user: [5, 0.2], ip: [50, 2] },
+    'typing': { user: [10, 2], ip: [100, 20] },
+    'chess invite': { user: [5, 0.1], ip: [50, 1] },
+    'message reaction': { user: [20, 2], ip: [200, 20] },
+    'event': { user: [30, 5], ip: [300, 50] },
+    'POST /api/auth': { ip: [30, 0.5] },
+    'POST /api/auth/refresh': { ip: [100, 2] },
+    'POST /api/hooks': { ip: [20, 0.5] },
+    'POST /api/attachments': { user: [5, 0.1], ip: [50, 1] },
+    'GET /api/search': { user: [10, 0.5], ip: [100, 5] },
+    'api': { user: [60, 2], ip: [600, 20] }
+};
+const RULES = { ...DEFAULT_RULES, ...JSON.parse(process.env.RATE_LIMITS || '{}') };
+
+// Which proxies to believe about a client's address, in Express's `trust proxy` forms: TRUST_PROXY
+// is true, a number of hops or a comma-separated list of addresses and subnets. Left unset, the
+// address of the connection itself is used.
+const TRUST_PROXY = parseTrustProxy(process.env.TRUST_PROXY);
+const trustProxy = compileTrust(TRUST_PROXY);
+
+const MAX_MESSAGE_LENGTH = parseInt(process.env.MAX_MESSAGE_LENGTH) || 4000;
+const MAX_EVENT_BYTES = parseInt(process.env.MAX_EVENT_BYTES) || 16 * 1024;
+
+// The same text this many times within DUPLICATE_WINDOW_MS gets a warning; repeating it again
+// before the warning is STRIKE_WINDOW_MS old mutes the sender for FLOOD_MUTE_MINUTES
+const DUPLICATE_LIMIT = parseInt(process.env.DUPLICATE_LIMIT) || 3;
+const DUPLICATE_WINDOW_MS = parseInt(process.env.DUPLICATE_WINDOW_MS) || 60 * 1000;
+const STRIKE_WINDOW_MS = 10 * 60 * 1000;
+const FLOOD_MUTE_MINUTES = parseInt(process.env.FLOOD_MUTE_MINUTES) || 10;
+
+const buckets = new Map(); // 'user:<name>:<rule>' or 'ip:<address>:<rule>' -> { tokens, updatedAt }
+const recentMessages = new Map(); // username -> [{ text, sentAt }]
+const warnings = new Map(); // username -> when they were last warned about duplicates
+
+// Raised when a client goes over a limit. `code` tells clients which limit:
+// rate_limited, payload_too_large, message_too_long, duplicate_message or flood_muted.
+class RateLimitError extends Error {
+    constructor(message, { code, status = 429, retryAfterMs = null, event = null, mutedUntil = null }) {
+        super(message);
+        this.name = 'RateLimitError';
+        this.code = code;
+        this.status = status;
+        this.retryAfterMs = retryAfterMs;
+        this.event = event;
+        this.mutedUntil = mutedUntil;
+    }
+}
+
+// What clients receive: as `rate limit error` over sockets, as the JSON body over REST
+function describeError(error) {
+    return {
+        error: error.message,
+        code: error.code,
+        event: error.event,
+        retryAfterMs: error.retryAfterMs,
+        mutedUntil: error.mutedUntil
+    };
+}
+
+function parseTrustProxy(value) {
+    if (!value || value === 'false') return false;
+    if (value === 'true') return true;
+    if (/^\d+$/.test(value)) return parseInt(value);
+    return value;
+}
+
+function compileTrust(value) {
+    if (value === true) return () => true;
+    if (typeof value === 'number') return (address, hop) => hop < value;
+    return proxyaddr.compile(value ? value.split(',').map(entry => entry.trim()) : []);
+}
+
+// The client's address for a socket, read through trusted proxies the way Express reads `req.ip`
+function socketAddress(socket) {
+    const { address, headers } = socket.handshake;
+    return proxyaddr({ socket: { remoteAddress: address }, headers }, trustProxy);
+}
+
+// Takes a token from the bucket, refilling it for the time since it was last used.
+// Returns 0 when allowed, otherwise how many milliseconds until a token is available.
+function take(key, [capacity, perSecond], now = Date.now()) {
+    const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+    bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) / 1000 * perSecond);
+    bucket.updatedAt = now;
+    buckets.set(key, bucket);
+
+    if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return 0;
+    }
+    return Math.ceil((1 - bucket.tokens) / perSecond * 1000);
+}
+
+// Checks both of a rule's buckets; `username` is null for clients that haven't signed in
+function consume(ruleName, fallback, { username, ip }) {
+    const name = ruleName in RULES ? ruleName : fallback;
+    const rule = RULES[name];
+    if (!rule) return;
+
+    const wait = Math.max(
+        rule.user && username ? take(`user:${username}:${name}`, rule.user) : 0,
+        rule.ip && ip ? take(`ip:${ip}:${name}`, rule.ip) : 0
+    );
+    if (wait > 0) {
+        throw new RateLimitError('You\'re doing that too often, slow down', { code: 'rate_limited', retryAfterMs: wait, event: ruleName });
+    }
+}
+
+// Socket middleware (socket.use): checks each incoming event's size and rate before any handler
+// sees it. Rejected events are dropped and reported to the client.
+function socketMiddleware(socket) {
+    const ip = socketAddress(socket);
+    return ([event, ...args], next) => {
+        try {
+            const size = Buffer.byteLength(JSON.stringify(args) || '');
+            if (size > MAX_EVENT_BYTES) {
+                throw new RateLimitError(`Events can be at most ${MAX_EVENT_BYTES} bytes`, { code: 'payload_too_large', status: 413, event });
+            }
+            consume(event, 'event', { username: socket.data.user && socket.data.user.username, ip });
+            next();
+        } catch (error) {
+            if (!(error instanceof RateLimitError)) return next(error);
+            socket.emit('rate limit error', describeError(error));
+        }
+    };
+}
+
+// Express middleware for /api. `identify` returns the signed-in username for a request, or null.
+// `req.ip` goes through the app's `trust proxy` setting, which should be TRUST_PROXY.
+function httpMiddleware(identify) {
+    return (req, res, next) => {
+        const [, first = '', second] = req.path.split('/');
+        const route = `${req.method} /api/${first}`;
+        const ruleName = second && `${route}/${second}` in RULES ? `${route}/${second}` : route;
+        try {
+            consume(ruleName, 'api', { username: identify(req), ip: req.ip });
+            next();
+        } catch (error) {
+            sendError(res, error);
+        }
+    };
+}
+
+function sendError(res, error) {
+    if (error.retryAfterMs) res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+    res.status(error.status).json(describeError(error));
+}
+
+function requireLength(text) {
+    if (typeof text === 'string' && text.length > MAX_MESSAGE_LENGTH) {
+        throw new RateLimitError(`Messages can be at most ${MAX_MESSAGE_LENGTH} characters`, { code: 'message_too_long', status: 413 });
+    }
+}
+
+// Checks a message `user` is about to send: its length, and whether they keep sending the same text
+async function checkMessage(user, text) {
+    requireLength(text);
+    if (typeof text !== 'string' || !text.trim()) return;
+
+    const now = Date.now();
+    const normalized = text.trim().toLowerCase().replace(/\s+/g, ' ');
+    const recent = (recentMessages.get(user.username) || []).filter(entry => now - entry.sentAt < DUPLICATE_WINDOW_MS);
+    recent.push({ text: normalized, sentAt: now });
+    recentMessages.set(user.username, recent);
+
+    const repeats = recent.filter(entry => entry.text === normalized).length;
+    if (repeats < DUPLICATE_LIMIT) return;
+
+    const warnedAt = warnings.get(user.username);
+    if (warnedAt && now - warnedAt < STRIKE_WINDOW_MS) {
+        warnings.delete(user.username);
+        recentMessages.delete(user.username);
+        const muted = await moderation.autoMute(user.username, FLOOD_MUTE_MINUTES, 'Repeated duplicate messages');
+        throw new RateLimitError(`You've been muted for ${FLOOD_MUTE_MINUTES} minutes for flooding`, {
+            code: 'flood_muted',
+            status: 403,
+            mutedUntil: muted.muted_until
+        });
+    }
+
+    warnings.set(user.username, now);
+    throw new RateLimitError('Please don\'t send the same message over and over; next time you\'ll be muted', {
+        code: 'duplicate_message',
+        retryAfterMs: DUPLICATE_WINDOW_MS
+    });
+}
+
+// Drops buckets left alone for ten minutes and duplicate history that has aged out
+function sweep(now = Date.now()) {
+    for (const [key, bucket] of buckets) {
+        if (now - bucket.updatedAt > 10 * 60 * 1000) buckets.delete(key);
+    }
+    for (const [username, recent] of recentMessages) {
+        if (recent.every(entry => now - entry.sentAt >= DUPLICATE_WINDOW_MS)) recentMessages.delete(username);
+    }
+    for (const [username, warnedAt] of warnings) {
+        if (now - warnedAt >= STRIKE_WINDOW_MS) warnings.delete(username);
+    }
+}
+
+module.exports = {
+    TRUST_PROXY,
+    MAX_MESSAGE_LENGTH,
+    MAX_EVENT_BYTES,
+    RateLimitError,
+    describeError,
+    socketMiddleware,
+    httpMiddleware,
+    sendError,
+    requireLength,
+    checkMessage,
+    sweep
+};
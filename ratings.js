@@ -0,0 +1,40 @@
+// Elo ratings for rated chess games.
+// K is 40 for a player's first 30 rated games, 10 once they reach 2400, otherwise 20 (FIDE).
+
+const DEFAULT_RATING = 1200;
+const PROVISIONAL_GAMES = 30;
+const MASTER_RATING = 2400;
+
+function kFactor(rating, ratedGames) {
+    if (ratedGames < PROVISIONAL_GAMES) return 40;
+    if (rating >= MASTER_RATING) return 10;
+    return 20;
+}
+
+function expectedScore(rating, opponentRating) {
+    return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+// White's score for a finished game status, or null when the game doesn't count
+function whiteScore(gameStatus) {
+    if (gameStatus === 'white_wins') return 1;
+    if (gameStatus === 'black_wins') return 0;
+    if (gameStatus === 'draw') return 0.5;
+    return null;
+}
+
+// Rating changes for both players. Each side is { rating, ratedGames }.
+function calculateRatingChanges(white, black, score) {
+    const whiteChange = Math.round(kFactor(white.rating, white.ratedGames) *
+        (score - expectedScore(white.rating, black.rating)));
+    const blackChange = Math.round(kFactor(black.rating, black.ratedGames) *
+        ((1 - score) - expectedScore(black.rating, white.rating)));
+
+    return { white: whiteChange, black: blackChange };
+}
+
+module.exports = {
+    DEFAULT_RATING,
+    whiteScore,
+    calculateRatingChanges
+};
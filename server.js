@@ -3,27 +3,170 @@ const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
 const os = require('os');
+const crypto = require('crypto');
+const { createAdapter } = require('@socket.io/postgres-adapter');
 require('dotenv').config();
 
 // Import database functions
-const { db, testConnection, initializeTables } = require('./database');
+const { pool, db, testConnection, initializeTables } = require('./database');
+const auth = require('./auth');
+const chess = require('./chess');
+const clock = require('./clock');
+const bot = require('./bot');
+const ratings = require('./ratings');
+const lobby = require('./lobby');
+const channels = require('./channels');
+const messages = require('./messages');
+const attachments = require('./attachments');
+const presence = require('./presence');
+const moderation = require('./moderation');
+const rateLimit = require('./rate-limit');
+const commands = require('./commands');
+const webhooks = require('./webhooks');
+const notifications = require('./notifications');
 
 const app = express();
 const server = http.createServer(app);
-const io = socketIo(server);
+// Frames far over the per-event cap are refused by socket.io before they are parsed
+const io = socketIo(server, { maxHttpBufferSize: rateLimit.MAX_EVENT_BYTES * 4 });
 
 const PORT = process.env.PORT || 3000;
 
+// Identifies this process among the instances sharing the database. It stays the same across
+// restarts so a restarted instance can clear the sessions its previous run left behind.
+const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}:${PORT}`;
+
 // Middleware
+app.set('trust proxy', rateLimit.TRUST_PROXY);
 app.use(express.static(path.join(__dirname, 'public')));
-app.use(express.json());
+app.use('/api', rateLimit.httpMiddleware(requestUsername));
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '100kb' }));
+app.use((error, req, res, next) => {
+    if (error.type !== 'entity.too.large') return next(error);
+    rateLimit.sendError(res, new rateLimit.RateLimitError('Request body is too large', { code: 'payload_too_large', status: 413 }));
+});
+
+// The signed-in user's name for rate limiting, or null; requireAuth still checks the token
+function requestUsername(req) {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    if (scheme !== 'Bearer' || !token) return null;
+    try {
+        return auth.verifyAccessToken(token).username;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Send auth failures with their status, anything else as a 500
+function handleAuthError(res, error, fallbackMessage) {
+    if (error instanceof auth.AuthError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({ error: fallbackMessage });
+}
+
+// Auth Routes
+app.post('/api/auth/register', async (req, res) => {
+    try {
+        const { username, password, email } = req.body || {};
+        const session = await auth.register({ username, password, email });
+        res.status(201).json(session);
+    } catch (error) {
+        handleAuthError(res, error, 'Failed to register');
+    }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const { username, password } = req.body || {};
+        const session = await auth.login({ username, password });
+        res.json(session);
+    } catch (error) {
+        handleAuthError(res, error, 'Failed to log in');
+    }
+});
+
+app.post('/api/auth/refresh', async (req, res) => {
+    try {
+        const session = await auth.refresh((req.body || {}).refreshToken);
+        res.json(session);
+    } catch (error) {
+        handleAuthError(res, error, 'Failed to refresh session');
+    }
+});
+
+app.post('/api/auth/logout', auth.requireAuth, async (req, res) => {
+    try {
+        await auth.logout((req.body || {}).refreshToken);
+
+        // Drop any sockets still open under this account, on every instance
+        io.in(userRoom(req.user.username)).disconnectSockets(true);
+
+        res.json({ success: true });
+    } catch (error) {
+        handleAuthError(res, error, 'Failed to log out');
+    }
+});
+
+// Send channel failures with their status, anything else as a 500
+function handleChannelError(res, error, fallbackMessage) {
+    if (error instanceof channels.ChannelError || error instanceof messages.MessageError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    handleModerationError(res, error, fallbackMessage);
+}
+
+function handleMessageError(res, error, fallbackMessage) {
+    if (error instanceof messages.MessageError || error instanceof attachments.AttachmentError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    handleModerationError(res, error, fallbackMessage);
+}
+
+// Muted, banned and flooding users are refused by every posting route, so the other handlers fall back to this one
+function handleModerationError(res, error, fallbackMessage) {
+    if (error instanceof moderation.ModerationError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    if (error instanceof rateLimit.RateLimitError) {
+        return rateLimit.sendError(res, error);
+    }
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({ error: fallbackMessage });
+}
+
+// The channel named by ?channel=, or the default channel, provided the caller is a member
+async function requestedChannel(req) {
+    const channelId = req.query.channel || (await channels.getDefaultChannel()).id;
+    return channels.requireMember(req.user, channelId);
+}
+
+// One page of a channel's history for `user`, picked by the `before`, `after` and `limit` in `cursors`
+async function channelHistory(user, channel, cursors = {}) {
+    const page = await messages.loadPage(
+        options => db.getChannelMessages(channel.id, options),
+        messages.pageOptions(cursors)
+    );
+    return { channelId: channel.id, ...page, messages: await messages.forViewer(page.messages, user) };
+}
+
+// One page of the private conversation between `user` and `partner`
+async function conversationHistory(user, partner, cursors = {}) {
+    const page = await messages.loadPage(
+        options => db.getPrivateMessages(user.username, partner, options),
+        messages.pageOptions(cursors)
+    );
+    return { ...page, messages: await messages.forViewer(page.messages, user) };
+}
 
 // API Routes
-app.get('/api/stats', async (req, res) => {
+app.get('/api/stats', auth.requireAuth, async (req, res) => {
     try {
+        const channel = await requestedChannel(req);
         const onlineUsers = await db.getOnlineUsers();
         const activeGames = await db.getActiveChessGames();
-        const recentMessages = await db.getRecentMessages(10);
+        const recentMessages = await db.getChannelMessages(channel.id, { limit: 10 });
         
         res.json({
             onlineUsers: onlineUsers.length,
@@ -32,389 +175,2388 @@ app.get('/api/stats', async (req, res) => {
             games: activeGames
         });
     } catch (error) {
-        console.error('Error fetching stats:', error);
-        res.status(500).json({ error: 'Failed to fetch statistics' });
+        handleChannelError(res, error, 'Failed to fetch statistics');
+    }
+});
+
+app.get('/api/messages', auth.requireAuth, async (req, res) => {
+    try {
+        const channel = await requestedChannel(req);
+        res.json(await channelHistory(req.user, channel, req.query));
+    } catch (error) {
+        handleChannelError(res, error, 'Failed to fetch messages');
+    }
+});
+
+// Channels
+app.get('/api/channels', auth.requireAuth, async (req, res) => {
+    try {
+        const visible = await db.getVisibleChannels(req.user.id);
+        res.json(visible.map(channels.describeChannel));
+    } catch (error) {
+        console.error('Error fetching channels:', error);
+        res.status(500).json({ error: 'Failed to fetch channels' });
+    }
+});
+
+app.post('/api/channels', auth.requireAuth, async (req, res) => {
+    try {
+        const channel = await createChannelFor(req.user, req.body || {});
+        res.status(201).json(channels.describeChannel(channel));
+    } catch (error) {
+        handleChannelError(res, error, 'Failed to create channel');
+    }
+});
+
+app.post('/api/channels/:channelId/join', auth.requireAuth, async (req, res) => {
+    try {
+        const channel = await joinChannelFor(req.user, req.params.channelId);
+        res.json(channels.describeChannel(channel));
+    } catch (error) {
+        handleChannelError(res, error, 'Failed to join channel');
+    }
+});
+
+app.post('/api/channels/:channelId/leave', auth.requireAuth, async (req, res) => {
+    try {
+        await leaveChannelFor(req.user, req.params.channelId);
+        res.json({ success: true });
+    } catch (error) {
+        handleChannelError(res, error, 'Failed to leave channel');
+    }
+});
+
+app.post('/api/channels/:channelId/invites', auth.requireAuth, async (req, res) => {
+    try {
+        const { invitee } = await inviteToChannelFor(req.user, req.params.channelId, (req.body || {}).username);
+        res.status(201).json({ success: true, invitee });
+    } catch (error) {
+        handleChannelError(res, error, 'Failed to send invite');
+    }
+});
+
+app.get('/api/channels/:channelId/members', auth.requireAuth, async (req, res) => {
+    try {
+        const channel = await channels.requireMember(req.user, req.params.channelId);
+        res.json(await db.getChannelMembers(channel.id));
+    } catch (error) {
+        handleChannelError(res, error, 'Failed to fetch channel members');
     }
 });
 
-app.get('/api/messages', async (req, res) => {
+app.get('/api/channels/:channelId/messages', auth.requireAuth, async (req, res) => {
     try {
-        const limit = parseInt(req.query.limit) || 50;
-        const messages = await db.getRecentMessages(limit);
-        res.json(messages);
+        const channel = await channels.requireMember(req.user, req.params.channelId);
+        res.json(await channelHistory(req.user, channel, req.query));
     } catch (error) {
-        console.error('Error fetching messages:', error);
-        res.status(500).json({ error: 'Failed to fetch messages' });
+        handleChannelError(res, error, 'Failed to fetch messages');
     }
 });
 
-app.get('/api/games', async (req, res) => {
+app.get('/api/games', auth.requireAuth, async (req, res) => {
     try {
         const games = await db.getActiveChessGames();
-        res.json(games);
+        const spectatorCounts = await Promise.all(games.map(game => getSpectatorCount(game.game_id)));
+        res.json(games.map((game, index) => ({ ...game, spectator_count: spectatorCounts[index] })));
     } catch (error) {
         console.error('Error fetching games:', error);
         res.status(500).json({ error: 'Failed to fetch games' });
     }
 });
 
-// Enhanced chat API endpoints
-app.get('/api/search', async (req, res) => {
+app.get('/api/games/:gameId/pgn', auth.requireAuth, async (req, res) => {
+    try {
+        const record = await db.getChessGame(req.params.gameId);
+        if (!record) {
+            return res.status(404).json({ error: 'Game not found' });
+        }
+        
+        res.type('application/x-chess-pgn');
+        res.set('Content-Disposition', `attachment; filename="${encodeURIComponent(record.game_id)}.pgn"`);
+        res.send(chess.toPGN(record));
+    } catch (error) {
+        console.error('Error exporting PGN:', error);
+        res.status(500).json({ error: 'Failed to export game' });
+    }
+});
+
+app.get('/api/games/:gameId/fen', auth.requireAuth, async (req, res) => {
     try {
-        const { q: searchTerm, username, limit = 50 } = req.query;
+        const record = await db.getChessGame(req.params.gameId);
+        if (!record) {
+            return res.status(404).json({ error: 'Game not found' });
+        }
+        const game = chess.restoreGame(record);
         
-        if (!searchTerm) {
-            return res.status(400).json({ error: 'Search term is required' });
+        res.json({ gameId: req.params.gameId, fen: chess.toFEN(game) });
+    } catch (error) {
+        console.error('Error exporting FEN:', error);
+        res.status(500).json({ error: 'Failed to export position' });
+    }
+});
+
+// Ratings and match history
+app.get('/api/users/:username/games', auth.requireAuth, async (req, res) => {
+    try {
+        const user = await db.getUserByUsername(req.params.username);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
         }
         
-        const messages = await db.searchMessages(searchTerm, username, parseInt(limit));
-        res.json(messages);
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+        const { games, total } = await db.getUserGameHistory(user.username, limit, (page - 1) * limit);
+        
+        res.json({
+            username: user.username,
+            rating: user.rating,
+            ratedGames: user.rated_games,
+            page,
+            limit,
+            total,
+            games: games.map(game => {
+                const color = game.white_player === user.username ? 'white' : 'black';
+                const result = game.game_status === 'aborted' ? 'aborted'
+                    : !game.winner ? 'draw'
+                    : game.winner === user.username ? 'win'
+                    : 'loss';
+                return {
+                    gameId: game.game_id,
+                    color,
+                    opponent: color === 'white' ? game.black_player : game.white_player,
+                    result,
+                    reason: game.end_reason,
+                    rated: game.rated,
+                    ratingChange: color === 'white' ? game.white_rating_change : game.black_rating_change,
+                    moves: game.move_count,
+                    startedAt: game.created_at,
+                    endedAt: game.updated_at
+                };
+            })
+        });
+    } catch (error) {
+        console.error('Error fetching match history:', error);
+        res.status(500).json({ error: 'Failed to fetch match history' });
+    }
+});
+
+app.get('/api/leaderboard', auth.requireAuth, async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+        const leaders = await db.getLeaderboard(limit);
+        res.json(leaders.map((leader, index) => ({
+            rank: index + 1,
+            username: leader.username,
+            rating: leader.rating,
+            ratedGames: leader.rated_games,
+            wins: leader.wins,
+            losses: leader.losses,
+            draws: leader.draws
+        })));
+    } catch (error) {
+        console.error('Error fetching leaderboard:', error);
+        res.status(500).json({ error: 'Failed to fetch leaderboard' });
+    }
+});
+
+app.get('/api/lobby', auth.requireAuth, async (req, res) => {
+    try {
+        const challenges = await lobby.listChallenges();
+        res.json({
+            challenges: challenges.map(lobby.describeChallenge),
+            seeking: await lobby.seekCount()
+        });
+    } catch (error) {
+        console.error('Error fetching lobby:', error);
+        res.status(500).json({ error: 'Failed to fetch lobby' });
+    }
+});
+
+// Enhanced chat API endpoints
+app.get('/api/search', auth.requireAuth, async (req, res) => {
+    try {
+        res.json(await messages.search(req.user, req.query));
     } catch (error) {
-        console.error('Error searching messages:', error);
-        res.status(500).json({ error: 'Failed to search messages' });
+        handleChannelError(res, error, 'Failed to search messages');
     }
 });
 
-app.get('/api/private-messages/:username1/:username2', async (req, res) => {
+app.get('/api/private-messages/:username1/:username2', auth.requireAuth, async (req, res) => {
     try {
         const { username1, username2 } = req.params;
-        const { limit = 50 } = req.query;
         
-        const messages = await db.getPrivateMessages(username1, username2, parseInt(limit));
-        res.json(messages);
+        // Only participants may read a private conversation
+        if (req.user.username !== username1 && req.user.username !== username2) {
+            return res.status(403).json({ error: 'Not a participant in this conversation' });
+        }
+        
+        const partner = req.user.username === username1 ? username2 : username1;
+        res.json(await conversationHistory(req.user, partner, req.query));
+    } catch (error) {
+        handleMessageError(res, error, 'Failed to fetch private messages');
+    }
+});
+
+app.get('/api/conversations', auth.requireAuth, async (req, res) => {
+    try {
+        const conversations = await db.getConversations(req.user.username);
+        res.json(conversations.map(conversation => ({
+            username: conversation.partner,
+            lastMessage: {
+                id: conversation.id,
+                from: conversation.username,
+                message: conversation.message,
+                createdAt: conversation.created_at,
+                deliveredAt: conversation.delivered_at,
+                readAt: conversation.read_at
+            },
+            unreadCount: conversation.unread_count
+        })));
+    } catch (error) {
+        console.error('Error fetching conversations:', error);
+        res.status(500).json({ error: 'Failed to fetch conversations' });
+    }
+});
+
+app.post('/api/conversations/:username/read', auth.requireAuth, async (req, res) => {
+    try {
+        const messageIds = await markConversationRead(req.user.username, req.params.username);
+        res.json({ success: true, messageIds });
+    } catch (error) {
+        console.error('Error marking conversation read:', error);
+        res.status(500).json({ error: 'Failed to mark conversation read' });
+    }
+});
+
+// Notification inbox: mentions, private messages received while offline and chess invites
+function handleNotificationError(res, error, fallbackMessage) {
+    if (error instanceof notifications.NotificationError || error instanceof channels.ChannelError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({ error: fallbackMessage });
+}
+
+app.get('/api/notifications', auth.requireAuth, async (req, res) => {
+    try {
+        res.json(await notifications.getInbox(req.user, req.query));
+    } catch (error) {
+        handleNotificationError(res, error, 'Failed to fetch notifications');
+    }
+});
+
+// { ids } marks those notifications read; without ids every notification is
+app.post('/api/notifications/read', auth.requireAuth, async (req, res) => {
+    try {
+        res.json(await readNotificationsFor(req.user, (req.body || {}).ids));
+    } catch (error) {
+        handleNotificationError(res, error, 'Failed to mark notifications read');
+    }
+});
+
+app.get('/api/notifications/mutes', auth.requireAuth, async (req, res) => {
+    try {
+        res.json(await notifications.getMutes(req.user));
+    } catch (error) {
+        handleNotificationError(res, error, 'Failed to fetch mutes');
+    }
+});
+
+// { kind, target }: kind is user, channel or conversation; target a username or channel id
+app.post('/api/notifications/mutes', auth.requireAuth, async (req, res) => {
+    try {
+        res.json(await notifications.mute(req.user, req.body || {}));
+    } catch (error) {
+        handleNotificationError(res, error, 'Failed to mute');
+    }
+});
+
+app.delete('/api/notifications/mutes/:kind/:target', auth.requireAuth, async (req, res) => {
+    try {
+        res.json(await notifications.unmute(req.user, req.params));
+    } catch (error) {
+        handleNotificationError(res, error, 'Failed to unmute');
+    }
+});
+
+app.patch('/api/messages/:messageId', auth.requireAuth, async (req, res) => {
+    try {
+        const edited = await editMessageFor(req.user, req.params.messageId, req.body.message);
+        res.json(edited);
+    } catch (error) {
+        handleMessageError(res, error, 'Failed to edit message');
+    }
+});
+
+// Earlier versions of an edited message, oldest first
+app.get('/api/messages/:messageId/revisions', auth.requireAuth, async (req, res) => {
+    try {
+        const message = await messages.requireVisible(req.user, req.params.messageId);
+        const revisions = await db.getMessageRevisions(message.id);
+        res.json({ messageId: message.id, message: message.message, editedAt: message.edited_at, revisions });
+    } catch (error) {
+        handleMessageError(res, error, 'Failed to fetch revisions');
+    }
+});
+
+// Uploads stream the raw request body into the blob store: POST /api/attachments?name=photo.png
+app.post('/api/attachments', auth.requireAuth, async (req, res) => {
+    try {
+        const declaredSize = req.headers['content-length'] ? parseInt(req.headers['content-length']) : null;
+        const attachment = await attachments.upload(req.user, req, { fileName: req.query.name, declaredSize });
+        res.status(201).json(attachments.describeAttachment(attachment));
+    } catch (error) {
+        // Stop reading a body that was refused part way through
+        if (!req.complete) res.set('Connection', 'close');
+        handleMessageError(res, error, 'Failed to upload file');
+    }
+});
+
+async function sendAttachment(req, res, thumbnail) {
+    try {
+        const { attachment, stream } = await attachments.open(req.user, req.params.attachmentId, { thumbnail });
+        const inline = thumbnail || attachment.mime_type.startsWith('image/');
+        
+        res.set({
+            'Content-Type': thumbnail ? 'image/webp' : attachment.mime_type,
+            'Content-Disposition': `${inline ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(attachment.file_name)}`,
+            'X-Content-Type-Options': 'nosniff',
+            // Blobs never change, so clients can keep them
+            'Cache-Control': 'private, max-age=31536000, immutable'
+        });
+        if (!thumbnail) res.set('Content-Length', String(attachment.size_bytes));
+        
+        stream.on('error', (error) => {
+            console.error('Error reading attachment:', error);
+            res.destroy();
+        });
+        stream.pipe(res);
+    } catch (error) {
+        handleMessageError(res, error, 'Failed to download file');
+    }
+}
+
+app.get('/api/attachments/:attachmentId', auth.requireAuth, (req, res) => sendAttachment(req, res, false));
+app.get('/api/attachments/:attachmentId/thumbnail', auth.requireAuth, (req, res) => sendAttachment(req, res, true));
+
+// Emoji allowed in reactions
+app.get('/api/emoji', auth.requireAuth, async (req, res) => {
+    try {
+        const custom = await db.getCustomEmojis();
+        res.json({ standard: messages.STANDARD_EMOJI, custom: custom.map(messages.describeEmoji) });
+    } catch (error) {
+        console.error('Error fetching emoji:', error);
+        res.status(500).json({ error: 'Failed to fetch emoji' });
+    }
+});
+
+app.post('/api/emoji', auth.requireAuth, async (req, res) => {
+    try {
+        await moderation.requireCanPost(req.user);
+        const emoji = messages.describeEmoji(await messages.registerEmoji(req.user, req.body));
+        io.emit('emoji added', emoji);
+        res.status(201).json(emoji);
+    } catch (error) {
+        handleMessageError(res, error, 'Failed to add emoji');
+    }
+});
+
+// A message's thread: the first message with a page of replies, oldest first
+app.get('/api/messages/:messageId/thread', auth.requireAuth, async (req, res) => {
+    try {
+        const root = await channels.getThreadRoot(req.user, req.params.messageId);
+        res.json(await threadPayload(req.user, root, threadPage(req.query)));
+    } catch (error) {
+        handleChannelError(res, error, 'Failed to fetch thread');
+    }
+});
+
+app.get('/api/message-stats', auth.requireAuth, async (req, res) => {
+    try {
+        const channel = await requestedChannel(req);
+        const stats = await db.getMessageStats(channel.id);
+        res.json({ channelId: channel.id, ...stats });
+    } catch (error) {
+        handleChannelError(res, error, 'Failed to fetch message statistics');
+    }
+});
+
+// Authors can delete their own messages, moderators other people's channel messages
+app.delete('/api/messages/:messageId', auth.requireAuth, async (req, res) => {
+    try {
+        const { message, entry } = await deleteMessageFor(req.user, req.params.messageId, (req.body || {}).reason);
+        res.json({ success: true, deletedMessage: message, auditEntry: entry && moderation.describeEntry(entry) });
+    } catch (error) {
+        handleModerationError(res, error, 'Failed to delete message');
+    }
+});
+
+// Moderation
+app.get('/api/moderation/users/:username', auth.requireAuth, async (req, res) => {
+    try {
+        await moderation.requireRole(req.user, 'moderator');
+        const user = await db.getUserByUsername(req.params.username);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.json(moderation.describeStanding(user));
+    } catch (error) {
+        handleModerationError(res, error, 'Failed to fetch user');
+    }
+});
+
+// One of MODERATION_ACTIONS: mute, unmute, kick, ban, unban or role
+app.post('/api/moderation/users/:username/:action', auth.requireAuth, async (req, res) => {
+    try {
+        if (!MODERATION_ACTIONS[req.params.action]) {
+            return res.status(404).json({ error: 'Unknown moderation action' });
+        }
+        const entry = await moderateUser(req.user, req.params.action, req.params.username, req.body || {});
+        res.json(moderation.describeEntry(entry));
+    } catch (error) {
+        handleModerationError(res, error, 'Failed to moderate user');
+    }
+});
+
+app.get('/api/moderation/audit-log', auth.requireAuth, async (req, res) => {
+    try {
+        res.json(await moderation.getAuditLog(req.user, req.query));
+    } catch (error) {
+        handleModerationError(res, error, 'Failed to fetch audit log');
+    }
+});
+
+// Webhooks (admins). Tokens and secrets are only shown in the response that creates them.
+function handleWebhookError(res, error, fallbackMessage) {
+    if (error instanceof webhooks.WebhookError || error instanceof channels.ChannelError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    handleModerationError(res, error, fallbackMessage);
+}
+
+app.get('/api/webhooks', auth.requireAuth, async (req, res) => {
+    try {
+        res.json(await webhooks.list(req.user));
+    } catch (error) {
+        handleWebhookError(res, error, 'Failed to fetch webhooks');
+    }
+});
+
+app.post('/api/webhooks/incoming', auth.requireAuth, async (req, res) => {
+    try {
+        const { webhook, token, url } = await webhooks.createIncoming(req.user, req.body || {});
+        res.status(201).json({ ...webhooks.describeIncoming(webhook), token, url });
+    } catch (error) {
+        handleWebhookError(res, error, 'Failed to create webhook');
+    }
+});
+
+app.post('/api/webhooks/outgoing', auth.requireAuth, async (req, res) => {
+    try {
+        const { webhook, secret } = await webhooks.createOutgoing(req.user, req.body || {});
+        res.status(201).json({ ...webhooks.describeOutgoing(webhook), secret });
+    } catch (error) {
+        handleWebhookError(res, error, 'Failed to create webhook');
+    }
+});
+
+app.delete('/api/webhooks/:kind(incoming|outgoing)/:webhookId', auth.requireAuth, async (req, res) => {
+    try {
+        await webhooks.remove(req.user, req.params.kind, req.params.webhookId);
+        res.json({ success: true });
+    } catch (error) {
+        handleWebhookError(res, error, 'Failed to delete webhook');
+    }
+});
+
+app.get('/api/webhooks/outgoing/:webhookId/deliveries', auth.requireAuth, async (req, res) => {
+    try {
+        res.json(await webhooks.getDeliveries(req.user, req.params.webhookId, req.query));
     } catch (error) {
-        console.error('Error fetching private messages:', error);
-        res.status(500).json({ error: 'Failed to fetch private messages' });
+        handleWebhookError(res, error, 'Failed to fetch deliveries');
     }
 });
 
-app.get('/api/message-stats', async (req, res) => {
+// Incoming webhooks: the secret URL is the credential, so no access token is needed.
+// Takes { text } and posts it to the webhook's channel as its bot.
+app.post('/api/hooks/:webhookId/:token', async (req, res) => {
     try {
-        const stats = await db.getMessageStats();
-        res.json(stats);
+        const webhook = await webhooks.authenticateIncoming(req.params.webhookId, req.params.token);
+        const text = (req.body || {}).text;
+        if (typeof text !== 'string' || !text.trim()) {
+            return res.status(400).json({ error: 'text is required' });
+        }
+        const botUser = await db.getUserByUsername(webhook.bot_username);
+        const savedMessage = await postBotMessage(botUser, webhook.channel_id, text);
+        res.status(201).json({ id: savedMessage.id, channelId: webhook.channel_id });
     } catch (error) {
-        console.error('Error fetching message stats:', error);
-        res.status(500).json({ error: 'Failed to fetch message statistics' });
+        handleWebhookError(res, error, 'Failed to post message');
     }
 });
 
-app.delete('/api/messages/:messageId', async (req, res) => {
-    try {
-        const { messageId } = req.params;
-        const { username } = req.body;
+// Sockets connected to this instance. Sessions, presence and live games are shared
+// through the database so any instance can serve any user.
+const activeUsers = new Map(); // socketId -> username
+const flagTimers = new Map(); // gameId -> timeout that fires when the side to move runs out of time
+const botSearches = new Set(); // gameIds the bot is currently thinking about on this instance
+
+// setTimeout can't wait longer than this; longer clocks are re-armed when it fires
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+const LOBBY_SWEEP_INTERVAL = 5000;
+const HEARTBEAT_INTERVAL = 30 * 1000;
+const WEBHOOK_POLL_INTERVAL = 5000;
+// An instance that misses this many heartbeats is treated as gone and its sessions are dropped
+const INSTANCE_STALE_MS = 3 * HEARTBEAT_INTERVAL;
+
+const STALE_GAME_REASON = 'The game changed, try again';
+
+// Every socket joins a room named after its user, so events reach all of their devices on any instance
+function userRoom(username) {
+    return `user:${username}`;
+}
+
+function emitToUser(username, event, payload) {
+    io.to(userRoom(username)).emit(event, payload);
+}
+
+// Spectators of a game share a socket.io room; players are reached through emitToUser
+function spectatorRoom(gameId) {
+    return `spectate:${gameId}`;
+}
+
+// Counts watching users across all instances; one user with several tabs counts once
+async function getSpectatorCount(gameId) {
+    const sockets = await io.in(spectatorRoom(gameId)).fetchSockets();
+    return new Set(sockets.map(socket => socket.data.user.username)).size;
+}
+
+// Sends a game event to both players and everyone watching
+function emitToGame(gameId, game, event, payload) {
+    emitToUser(game.whitePlayer, event, payload);
+    emitToUser(game.blackPlayer, event, payload);
+    io.to(spectatorRoom(gameId)).emit(event, payload);
+}
+
+async function broadcastSpectatorCount(gameId, game) {
+    emitToGame(gameId, game, 'chess spectators', { gameId, count: await getSpectatorCount(gameId) });
+}
+
+// Reads an active game from the database. Any instance may have changed it, so every
+// request works on a fresh copy and writes it back with saveChessGame.
+async function loadChessGame(gameId) {
+    const record = await db.getChessGame(gameId);
+    if (!record || record.game_status !== 'active') return null;
+
+    const game = chess.restoreGame(record);
+    game.version = record.version;
+
+    // Offers still waiting for an answer are stored with the rules state
+    const { drawOffer = null, lastDrawOffer = null, takebackRequest = null } = record.rules_state || {};
+    Object.assign(game, { drawOffer, lastDrawOffer, takebackRequest });
+    return game;
+}
+
+// Persists every part of the game state. Returns false, writing nothing, if the game
+// was saved by another request or instance since this copy was loaded.
+async function saveChessGame(gameId, game) {
+    const version = await db.updateChessGame(gameId, {
+        currentTurn: game.currentTurn,
+        boardState: game.board,
+        gameStatus: game.gameStatus,
+        moveHistory: game.moveHistory,
+        winner: game.winner,
+        endReason: game.endReason,
+        rulesState: {
+            ...chess.getRulesState(game),
+            drawOffer: game.drawOffer || null,
+            lastDrawOffer: game.lastDrawOffer || null,
+            takebackRequest: game.takebackRequest || null
+        },
+        clockState: game.clock,
+        version: game.version
+    });
+    if (version === null) return false;
+    
+    game.version = version;
+    return true;
+}
+
+// Game payload with both clocks read at send time
+function gamePayload(gameId, game) {
+    return {
+        gameId,
+        gameState: game,
+        clocks: game.clock ? clock.snapshot(game.clock, game.currentTurn) : null
+    };
+}
+
+// Saves a system message and broadcasts it to the default channel
+async function postChessMessage(message, type) {
+    const channel = await channels.getDefaultChannel();
+    const savedMessage = await db.saveMessage({
+        username: 'System',
+        message,
+        messageType: 'system',
+        channelId: channel.id
+    });
+    
+    io.to(channels.channelRoom(channel.id)).emit('chess game message', {
+        channelId: channel.id,
+        id: savedMessage.id,
+        message,
+        timestamp: new Date(savedMessage.created_at).toLocaleTimeString(),
+        type
+    });
+}
+
+const END_REASON_LABELS = {
+    checkmate: 'checkmate',
+    stalemate: 'stalemate',
+    threefold_repetition: 'threefold repetition',
+    fifty_move_rule: 'the fifty-move rule',
+    insufficient_material: 'insufficient material',
+    timeout: 'time',
+    timeout_insufficient_material: 'timeout with insufficient material',
+    resignation: 'resignation',
+    agreement: 'agreement'
+};
+
+function describeGameEnd(game, gameEnd) {
+    const players = `${game.whitePlayer} and ${game.blackPlayer}`;
+    const how = END_REASON_LABELS[gameEnd.reason] || gameEnd.reason;
+    if (gameEnd.reason === 'aborted') {
+        return `🚫 Chess game between ${players} was aborted`;
+    }
+    if (!gameEnd.winner) {
+        return `🤝 Chess game between ${players} ended in a draw by ${how}`;
+    }
+    const loser = gameEnd.winner === game.whitePlayer ? game.blackPlayer : game.whitePlayer;
+    return `🏆 ${gameEnd.winner} beat ${loser} by ${how}`;
+}
+
+// Updates both players' ratings for a finished rated game
+function applyRatings(gameId) {
+    return db.applyRatingChanges(gameId, (white, black, gameStatus) => {
+        const score = ratings.whiteScore(gameStatus);
+        return score === null ? null : ratings.calculateRatingChanges(white, black, score);
+    });
+}
+
+// Stops a finished game's clock, settles ratings and tells the players and spectators how it ended
+async function announceGameEnd(gameId, game, gameEnd) {
+    clearTimeout(flagTimers.get(gameId));
+    flagTimers.delete(gameId);
+    
+    const ratingChanges = game.rated ? await applyRatings(gameId) : null;
+    emitToGame(gameId, game, 'chess game ended', { gameId, ...gameEnd, clocks: gamePayload(gameId, game).clocks, ratingChanges });
+    io.in(spectatorRoom(gameId)).socketsLeave(spectatorRoom(gameId));
+    await postChessMessage(describeGameEnd(game, gameEnd), 'chess_end');
+    await queueWebhookEvent('chess_result', {
+        gameId,
+        whitePlayer: game.whitePlayer,
+        blackPlayer: game.blackPlayer,
+        winner: gameEnd.winner || null,
+        reason: gameEnd.reason,
+        rated: Boolean(game.rated),
+        ratingChanges,
+        summary: describeGameEnd(game, gameEnd)
+    });
+}
+
+// Saves and announces a game that ended away from the board (time, resignation, agreement, abort).
+// Returns false if the game changed first, e.g. another instance already ended it.
+async function finishChessGame(gameId, game, gameEnd) {
+    if (!await saveChessGame(gameId, game)) return false;
+    await announceGameEnd(gameId, game, gameEnd);
+    return true;
+}
+
+// Creates, saves and announces a new game, then lets the bot move if it has the first turn
+async function startChessGame({ gameId, whitePlayer, blackPlayer, fen = null, timeControl = null, botLevel = null, rated = false }) {
+    const gameState = chess.createNewChessGame(whitePlayer, blackPlayer, { fen });
+    gameState.clock = timeControl ? clock.createClock(timeControl) : null;
+    gameState.botLevel = botLevel;
+    gameState.rated = rated;
+    gameState.version = 0;
+    
+    // Save to database
+    await db.createChessGame({
+        gameId,
+        whitePlayer,
+        blackPlayer,
+        boardState: gameState.board,
+        rulesState: chess.getRulesState(gameState),
+        startFen: gameState.startFen,
+        clockState: gameState.clock,
+        botLevel,
+        rated
+    });
+    
+    // Start the first player's clock
+    scheduleFlag(gameId, gameState);
+    
+    // Notify both players
+    emitToUser(whitePlayer, 'chess game started', gamePayload(gameId, gameState));
+    emitToUser(blackPlayer, 'chess game started', gamePayload(gameId, gameState));
+    
+    // Save and broadcast system message
+    await postChessMessage(`🎯 Chess game started between ${whitePlayer} and ${blackPlayer}`, 'chess_start');
+    
+    requestBotMove(gameId, gameState);
+    return gameState;
+}
+
+// Plays a move for `username` through the pipeline shared by players and the bot.
+// Returns null on success, otherwise the reason the move was refused.
+async function playChessMove(gameId, game, username, { from, to, promotion }) {
+    if (game.gameStatus !== 'active') return 'Game is not active';
+    
+    // Validate it's the player's turn
+    if (playerOf(game, game.currentTurn) !== username) return 'Not your turn';
+    
+    // A move that arrives after the flag fell loses on time instead
+    if (hasFlagged(game)) {
+        await flagGame(gameId, game);
+        return 'Out of time';
+    }
+    
+    // Validate and make the move (makeMove also switches turns)
+    if (!chess.isValidMove(game, from, to, promotion)) return 'Illegal move';
+    
+    const moverColor = game.currentTurn;
+    chess.makeMove(game, from, to, promotion);
+    
+    // Moving ignores the opponent's draw offer and cancels any takeback request
+    if (game.drawOffer && game.drawOffer.color !== moverColor) game.drawOffer = null;
+    game.takebackRequest = null;
+    if (game.clock) clock.punch(game.clock, moverColor);
+    const gameEnd = chess.checkGameEnd(game);
+    
+    // Update game in database, unless someone else got there first
+    if (!await saveChessGame(gameId, game)) return STALE_GAME_REASON;
+    
+    // Notify both players on whatever sockets they are using now, and spectators
+    emitToGame(gameId, game, 'chess move made', gamePayload(gameId, game));
+    
+    if (gameEnd) {
+        await announceGameEnd(gameId, game, gameEnd);
+    } else {
+        scheduleFlag(gameId, game);
+        requestBotMove(gameId, game);
+    }
+    return null;
+}
+
+// Starts a bot search when the bot is the side to move
+function requestBotMove(gameId, game) {
+    const botPlayer = playerOf(game, game.currentTurn);
+    if (!bot.isBot(botPlayer) || game.gameStatus !== 'active' || botSearches.has(gameId)) return;
+    
+    botSearches.add(gameId);
+    const position = chess.toFEN(game);
+    
+    bot.chooseMove(game, game.botLevel)
+        .then(async (move) => {
+            botSearches.delete(gameId);
+            
+            // A takeback or game end while the bot was thinking makes its answer stale, even
+            // when a different move has since brought the history back to the same length
+            const current = await loadChessGame(gameId);
+            if (!current) return;
+            if (chess.toFEN(current) !== position) return requestBotMove(gameId, current);
+            if (move) await playChessMove(gameId, current, botPlayer, move);
+        })
+        .catch((error) => {
+            botSearches.delete(gameId);
+            console.error('Error playing chess bot move:', error);
+        });
+}
+
+// Settles a pending draw offer; `color` is the side answering it
+async function answerDrawOffer(gameId, game, color, accepted) {
+    if (!game.drawOffer || game.drawOffer.color === color) return;
+    
+    const offerer = playerOf(game, game.drawOffer.color);
+    game.drawOffer = null;
+    
+    if (accepted) {
+        await finishChessGame(gameId, game, chess.endGame(game, null, 'agreement'));
+    } else if (await saveChessGame(gameId, game)) {
+        emitToUser(offerer, 'chess draw declined', { gameId, from: playerOf(game, color) });
+    }
+}
+
+// Settles a pending takeback request; `color` is the side answering it
+async function answerTakeback(gameId, game, color, accepted) {
+    const request = game.takebackRequest;
+    if (!request || request.color === color) return;
+    
+    const requester = playerOf(game, request.color);
+    const responder = playerOf(game, color);
+    game.takebackRequest = null;
+    
+    if (!accepted) {
+        if (await saveChessGame(gameId, game)) {
+            emitToUser(requester, 'chess takeback declined', { gameId, from: responder });
+        }
+        return;
+    }
+    
+    // Undo the requester's last move, plus the reply to it if one was already played
+    const plies = game.currentTurn === request.color ? 2 : 1;
+    if (game.clock) clock.charge(game.clock, game.currentTurn);
+    chess.takeBack(game, Math.min(plies, game.moveHistory.length));
+    game.drawOffer = null;
+    
+    if (!await saveChessGame(gameId, game)) return;
+    scheduleFlag(gameId, game);
+    
+    emitToGame(gameId, game, 'chess takeback', gamePayload(gameId, game));
+    await postChessMessage(`↩️ ${responder} let ${requester} take back a move`, 'chess_takeback');
+    requestBotMove(gameId, game);
+}
+
+// Loads an active game the socket's user is playing in, along with their colour
+async function getPlayerGame(socket, gameId) {
+    const username = activeUsers.get(socket.id);
+    if (!username) return null;
+    
+    const game = await loadChessGame(gameId);
+    if (!game || game.gameStatus !== 'active') return null;
+    
+    const color = game.whitePlayer === username ? 'white'
+        : game.blackPlayer === username ? 'black'
+        : null;
+    return color ? { game, username, color } : null;
+}
+
+function playerOf(game, color) {
+    return color === 'white' ? game.whitePlayer : game.blackPlayer;
+}
+
+function hasFlagged(game) {
+    return Boolean(game.clock) && game.gameStatus === 'active' &&
+        clock.remaining(game.clock, game.currentTurn, game.currentTurn) === 0;
+}
+
+// Ends the game on time. Running out only loses if the opponent could still checkmate, and a game
+// that could still be aborted (a side never moved) is aborted rather than scored.
+async function flagGame(gameId, game) {
+    const color = game.currentTurn;
+    const opponent = chess.opposite(color);
+    let gameEnd;
+    if (!chess.bothSidesMoved(game)) {
+        gameEnd = chess.abortGame(game);
+    } else if (chess.canCheckmate(game.board, opponent)) {
+        gameEnd = chess.endGame(game, opponent, 'timeout');
+    } else {
+        gameEnd = chess.endGame(game, null, 'timeout_insufficient_material');
+    }
+    game.clock[color] = 0;
+    game.clock.turnStartedAt = Date.now();
+
+    await finishChessGame(gameId, game, gameEnd);
+}
+
+// Arms the timer for the side to move; re-armed after every move
+function scheduleFlag(gameId, game) {
+    clearTimeout(flagTimers.get(gameId));
+    flagTimers.delete(gameId);
+    if (!game.clock || game.gameStatus !== 'active') return;
+
+    const left = clock.remaining(game.clock, game.currentTurn, game.currentTurn);
+    flagTimers.set(gameId, setTimeout(() => {
+        flagTimers.delete(gameId);
+        
+        // Check the stored game, which may have moved on here or on another instance
+        loadChessGame(gameId)
+            .then(async (current) => {
+                if (!current) return;
+                if (hasFlagged(current)) await flagGame(gameId, current);
+                else scheduleFlag(gameId, current);
+            })
+            .catch(error => console.error('Error ending chess game on time:', error));
+    }, Math.min(left, MAX_TIMER_DELAY)));
+}
+
+// Loads games that progress without a player at startup: timed games so abandoned
+// ones still lose on time, and bot games so the bot answers a move made before a restart
+async function resumeChessGames() {
+    const botGames = await db.getActiveChessGamesForUser(bot.BOT_USERNAME);
+    const gameIds = new Set([
+        ...await db.getTimedActiveChessGameIds(),
+        ...botGames.map(record => record.game_id)
+    ]);
+    for (const gameId of gameIds) {
+        const game = await loadChessGame(gameId);
+        if (!game) continue;
+        scheduleFlag(gameId, game);
+        requestBotMove(gameId, game);
+    }
+    if (gameIds.size > 0) {
+        console.log(`⏱️ Resumed ${gameIds.size} chess game(s)`);
+    }
+}
+
+// The bot needs a users row like any other player, marked as a bot
+async function ensureBotUser() {
+    // Its row may predate is_bot; the name is reserved, so that row can only be the bot's
+    if (!await db.ensureBotUser(bot.BOT_USERNAME)) {
+        await db.markUserAsBot(bot.BOT_USERNAME);
+    }
+}
+
+// Sends a player every game they still have in progress
+async function sendActiveGames(socket, username) {
+    const records = await db.getActiveChessGamesForUser(username);
+    const games = [];
+    for (const record of records) {
+        const gameState = await loadChessGame(record.game_id);
+        if (gameState) games.push(gamePayload(record.game_id, gameState));
+    }
+    socket.emit('chess resume', { games });
+}
+
+async function getRating(username) {
+    const user = await db.getUserByUsername(username);
+    return user ? user.rating : ratings.DEFAULT_RATING;
+}
+
+function challengeRemoved(challenge, reason) {
+    io.emit('lobby challenge removed', { challengeId: challenge.id, reason });
+}
+
+// Starts a game for every pair the seek queue can make, colours drawn at random
+async function pairSeeks() {
+    for (const [seek, opponent] of await lobby.matchSeeks()) {
+        const seekIsWhite = Math.random() < 0.5;
+        try {
+            await startChessGame({
+                gameId: crypto.randomUUID(),
+                whitePlayer: seekIsWhite ? seek.username : opponent.username,
+                blackPlayer: seekIsWhite ? opponent.username : seek.username,
+                timeControl: seek.timeControl,
+                rated: seek.rated
+            });
+        } catch (error) {
+            console.error('Error creating chess game:', error);
+        }
+    }
+}
+
+// Drops expired challenges and retries seeks whose rating windows have widened
+async function sweepLobby() {
+    for (const challenge of await lobby.expireChallenges()) {
+        challengeRemoved(challenge, 'expired');
+    }
+    await pairSeeks();
+}
+
+// A player who has gone offline can't be paired, so their challenges and seek go too
+async function leaveLobby(username) {
+    for (const challenge of await lobby.removeChallengesBy(username)) {
+        challengeRemoved(challenge, 'cancelled');
+    }
+    await lobby.removeSeek(username);
+}
+
+// Adds or removes every socket of a user, on any instance, in a channel's room
+function setChannelRoom(username, channelId, inRoom) {
+    const sockets = io.in(userRoom(username));
+    if (inRoom) sockets.socketsJoin(channels.channelRoom(channelId));
+    else sockets.socketsLeave(channels.channelRoom(channelId));
+}
+
+// Channel messages go to the channel's room, private messages to both participants
+function emitToMessageAudience(message, event, payload) {
+    if (message.channel_id) {
+        io.to(channels.channelRoom(message.channel_id)).emit(event, payload);
+    } else if (message.is_private) {
+        emitToUser(message.username, event, payload);
+        emitToUser(message.target_username, event, payload);
+    }
+}
+
+// Channel changes shared by socket events and REST routes
+async function createChannelFor(user, options) {
+    const channel = await channels.createChannel(user, options);
+    setChannelRoom(user.username, channel.id, true);
+    
+    const payload = channels.describeChannel({ ...channel, member_count: 1 });
+    emitToUser(user.username, 'channel joined', { ...payload, isMember: true });
+    if (!channel.is_private) io.emit('channel created', payload);
+    return channel;
+}
+
+async function joinChannelFor(user, channelId) {
+    const { channel, joined } = await channels.joinChannel(user, channelId);
+    if (joined) {
+        setChannelRoom(user.username, channel.id, true);
+        emitToUser(user.username, 'channel joined', { ...channels.describeChannel(channel), isMember: true });
+        io.to(channels.channelRoom(channel.id)).emit('channel member joined', { channelId: channel.id, username: user.username });
+    }
+    return channel;
+}
+
+async function leaveChannelFor(user, channelId) {
+    const channel = await channels.leaveChannel(user, channelId);
+    setChannelRoom(user.username, channel.id, false);
+    emitToUser(user.username, 'channel left', { channelId: channel.id });
+    io.to(channels.channelRoom(channel.id)).emit('channel member left', { channelId: channel.id, username: user.username });
+    return channel;
+}
+
+async function inviteToChannelFor(user, channelId, username) {
+    const result = await channels.inviteToChannel(user, channelId, username);
+    emitToUser(result.invitee, 'channel invited', {
+        channel: channels.describeChannel(result.channel),
+        from: user.username
+    });
+    return result;
+}
+
+function threadPage({ page, limit }) {
+    return {
+        page: Math.max(parseInt(page) || 1, 1),
+        limit: Math.min(Math.max(parseInt(limit) || 50, 1), 100)
+    };
+}
+
+async function threadPayload(user, root, { page, limit }) {
+    const summary = await db.getThreadSummary(root.id);
+    const replies = await db.getThreadReplies(root.id, limit, (page - 1) * limit);
+    const [message] = await messages.forViewer([{ ...root, ...summary }], user);
+    return {
+        message,
+        page,
+        limit,
+        total: summary.reply_count,
+        replies: await messages.forViewer(replies, user)
+    };
+}
+
+// Sends a thread's reply count and latest reply time to its channel and everyone viewing it
+async function broadcastThreadSummary(channelId, parentId) {
+    const { reply_count: replyCount, last_reply_at: lastReplyAt } = await db.getThreadSummary(parentId);
+    io.to(channels.channelRoom(channelId))
+        .to(channels.threadRoom(parentId))
+        .emit('thread updated', { channelId, messageId: parentId, replyCount, lastReplyAt });
+}
+
+// Channel a socket posts to: the default channel unless it names one it has joined
+async function postingChannelId(socket, channelId) {
+    if (channelId === undefined || channelId === null) {
+        return (await channels.getDefaultChannel()).id;
+    }
+    const id = parseInt(channelId);
+    return socket.rooms.has(channels.channelRoom(id)) ? id : null;
+}
+
+// Posts a chat message from a socket, as `messageType` ('text', or 'action' for /me).
+// A reply is posted in its thread's channel.
+async function postChatMessage(socket, data, messageType = 'text') {
+    const user = socket.data.user;
+    await moderation.requireCanPost(user);
+    await rateLimit.checkMessage(user, data.message);
+    
+    const parent = data.parentId ? await channels.getThreadRoot(user, data.parentId) : null;
+    const channelId = await postingChannelId(socket, parent ? parent.channel_id : data.channelId);
+    if (!channelId) {
+        throw new channels.ChannelError('Join the channel first', 403);
+    }
+    
+    const savedMessage = await db.saveMessage({
+        username: user.username,
+        message: data.message,
+        messageType,
+        channelId,
+        parentId: parent ? parent.id : null
+    });
+    
+    const messageData = {
+        id: savedMessage.id,
+        channelId,
+        username: user.username,
+        message: data.message,
+        timestamp: new Date(savedMessage.created_at).toLocaleTimeString(),
+        reactions: [],
+        type: messageType,
+        parentId: savedMessage.parent_id,
+        replyTo: parent ? { id: parent.id, username: parent.username, message: parent.message } : null
+    };
+    
+    io.to(channels.channelRoom(channelId)).emit('chat message', messageData);
+    
+    if (parent) {
+        io.to(channels.threadRoom(parent.id)).emit('thread reply', { channelId, parentId: parent.id, reply: messageData });
+        await broadcastThreadSummary(channelId, parent.id);
+    }
+    await announceMessage(savedMessage);
+    return savedMessage;
+}
+
+// Private messages shared by the socket event and /msg. Always saved; a recipient who is
+// offline gets it on their next join.
+async function sendPrivateMessageFor(user, targetUsername, text) {
+    await moderation.requireCanPost(user);
+    await rateLimit.checkMessage(user, text);
+    const target = await db.getUserByUsername(targetUsername);
+    if (!target || target.username === user.username) {
+        throw new messages.MessageError('User not found', 404);
+    }
+    
+    let savedMessage = await db.saveMessage({
+        username: user.username,
+        message: text,
+        messageType: 'private',
+        isPrivate: true,
+        targetUsername: target.username
+    });
+    
+    if (await db.isUserConnected(target.username)) {
+        savedMessage = await db.markMessageDelivered(savedMessage.id);
+        emitToUser(target.username, 'private message', privateMessagePayload(savedMessage));
+    } else {
+        await notifications.notifyPrivateMessage(savedMessage);
+    }
+    
+    // The sender sees whether it was delivered
+    emitToUser(user.username, 'private message', privateMessagePayload(savedMessage));
+    return savedMessage;
+}
+
+// Saves a system message in a channel and shows it to the channel's members
+async function postSystemMessage(channelId, message) {
+    const savedMessage = await db.saveMessage({
+        username: 'System',
+        message,
+        messageType: 'system',
+        channelId
+    });
+    io.to(channels.channelRoom(channelId)).emit('chat message', {
+        id: savedMessage.id,
+        channelId,
+        username: 'System',
+        message,
+        timestamp: new Date(savedMessage.created_at).toLocaleTimeString(),
+        reactions: [],
+        type: 'system'
+    });
+    return savedMessage;
+}
+
+// Posts as a bot user, for incoming webhooks and bots answering outgoing ones. Moderators can mute
+// and ban bots like anyone else.
+async function postBotMessage(botUser, channelId, text) {
+    await moderation.requireCanPost(botUser);
+    rateLimit.requireLength(text);
+    
+    const savedMessage = await db.saveMessage({
+        username: botUser.username,
+        message: text,
+        messageType: 'text',
+        channelId
+    });
+    io.to(channels.channelRoom(channelId)).emit('chat message', {
+        id: savedMessage.id,
+        channelId,
+        username: botUser.username,
+        message: text,
+        timestamp: new Date(savedMessage.created_at).toLocaleTimeString(),
+        reactions: [],
+        type: 'text',
+        bot: true
+    });
+    await announceMessage(savedMessage, botUser.username);
+    return savedMessage;
+}
+
+// Queues an outgoing webhook event and starts delivering it. Webhook trouble is only logged;
+// it never fails what caused the event.
+async function queueWebhookEvent(event, data, options) {
+    try {
+        if (await webhooks.dispatch(event, data, options) > 0) deliverWebhooks();
+    } catch (error) {
+        console.error(`❌ Error queueing ${event} webhooks:`, error);
+    }
+}
+
+// Follows up a new channel message: announces its mentions, then tells outgoing webhooks.
+// `from` is the bot that posted it, if any.
+async function announceMessage(savedMessage, from = null) {
+    const mentioned = await announceMentions(savedMessage);
+    await notifyWebhooks(savedMessage, from, mentioned);
+}
+
+// Stores the mentions in a new or edited channel message and pushes `mention` to everyone newly
+// mentioned who hasn't muted it. Returns who was mentioned; failures are only logged.
+async function announceMentions(message) {
+    try {
+        const mentions = await notifications.recordMentions(message);
+        if (mentions.length === 0) return [];
+        
+        const channel = await channels.getChannel(message.channel_id);
+        for (const notification of await notifications.notifyMentions(message, mentions)) {
+            emitToUser(notification.username, 'mention', {
+                ...notifications.describeNotification(notification),
+                channelName: channel.name
+            });
+        }
+        return mentions.map(mention => mention.username);
+    } catch (error) {
+        console.error('❌ Error announcing mentions:', error);
+        return [];
+    }
+}
+
+// Tells outgoing webhooks about a new channel message, and about the people it mentions
+async function notifyWebhooks(savedMessage, from, mentions) {
+    try {
+        const channel = await channels.getChannel(savedMessage.channel_id);
+        const data = {
+            channelId: channel.id,
+            channelName: channel.name,
+            message: {
+                id: savedMessage.id,
+                username: savedMessage.username,
+                message: savedMessage.message,
+                type: savedMessage.message_type,
+                parentId: savedMessage.parent_id,
+                attachmentId: savedMessage.attachment_id,
+                createdAt: savedMessage.created_at
+            }
+        };
+        await queueWebhookEvent('message', data, { channel, from });
+        if (mentions.length > 0) {
+            await queueWebhookEvent('mention', { ...data, mentions }, { channel, from });
+        }
+    } catch (error) {
+        console.error('❌ Error notifying webhooks:', error);
+    }
+}
+
+// Sends due webhook deliveries until none are left. Runs after events are queued and on an
+// interval, which picks up retries and deliveries queued by other instances.
+let deliveringWebhooks = false;
+let webhooksQueued = false;
+async function deliverWebhooks() {
+    webhooksQueued = true;
+    if (deliveringWebhooks) return;
+    deliveringWebhooks = true;
+    try {
+        while (webhooksQueued) {
+            webhooksQueued = false;
+            while (await webhooks.deliverDue(postWebhookReply) > 0);
+        }
+    } catch (error) {
+        console.error('Error delivering webhooks:', error);
+    } finally {
+        deliveringWebhooks = false;
+    }
+}
+
+// A bot answering a message or mention delivered to its outgoing webhook
+async function postWebhookReply(delivery, text) {
+    const botUser = await db.getUserByUsername(delivery.bot_username);
+    if (botUser) await postBotMessage(botUser, delivery.payload.channelId, text);
+}
+
+async function setTopicFor(user, channelId, topic) {
+    const channel = await channels.setTopic(user, channelId, topic);
+    const payload = channels.describeChannel(channel);
+    if (channel.is_private) io.to(channels.channelRoom(channel.id)).emit('channel updated', payload);
+    else io.emit('channel updated', payload);
+    
+    await postSystemMessage(channel.id, channel.topic
+        ? `${user.username} changed the topic to: ${channel.topic}`
+        : `${user.username} cleared the topic`);
+    return channel;
+}
+
+async function setStatusFor(username, status) {
+    await db.setUserStatus(username, status);
+    emitToUser(username, 'status', { status });
+    await refreshPresence(username);
+}
+
+// Runs a chat message starting with / as a command. Replies go to the caller only, as `command reply`.
+async function runCommand(socket, data) {
+    const user = socket.data.user;
+    const reply = (message) => socket.emit('command reply', { message });
+    try {
+        const account = await db.getUserById(user.id);
+        const channelId = await postingChannelId(socket, data.channelId);
+        if (!account || !channelId) {
+            throw new channels.ChannelError('Join the channel first', 403);
+        }
+        
+        await commands.run(data.message, {
+            user,
+            account,
+            channelId,
+            reply,
+            postSystem: (message) => postSystemMessage(channelId, message),
+            postAction: (message) => postChatMessage(socket, { message, channelId }, 'action'),
+            sendPrivateMessage: (to, message) => sendPrivateMessageFor(user, to, message),
+            async inviteToChess(to, { timeControl, rated }) {
+                if (!bot.isBot(to) && !await db.getUserByUsername(to)) {
+                    throw new commands.CommandError(`There is no user called ${to}`);
+                }
+                return sendChessInvite(socket, user.username, {
+                    gameId: crypto.randomUUID(),
+                    targetUsername: to,
+                    timeControl,
+                    rated
+                });
+            },
+            getChannel: () => channels.getChannel(channelId),
+            setTopic: (topic) => setTopicFor(user, channelId, topic),
+            setStatus: (status) => setStatusFor(user.username, status),
+            moderate: (action, username, options) => moderateUser(user, action, username, options)
+        });
+    } catch (error) {
+        emitCommandError(socket, error, 'Failed to run command');
+    }
+}
+
+// Invites a user to chess, or starts the game straight away against the bot. Shared by the
+// socket event and /chess; problems are reported to the inviter as `chess invite error`.
+// Returns whether the invite went out.
+async function sendChessInvite(socket, inviterUsername, data) {
+    const isBotGame = bot.isBot(data.targetUsername);
+    
+    let timeControl = null;
+    try {
+        timeControl = clock.parseTimeControl(data.timeControl);
+    } catch (error) {
+        if (!(error instanceof clock.TimeControlError)) throw error;
+        socket.emit('chess invite error', { gameId: data.gameId, message: error.message });
+        return false;
+    }
+    
+    // An optional FEN starts the game from a set-up position
+    let fen = null;
+    if (data.fen) {
+        try {
+            const preview = chess.createNewChessGame(inviterUsername, data.targetUsername, { fen: data.fen });
+            if (chess.legalMoves(preview).length === 0) {
+                throw new chess.FenError('That position is already finished');
+            }
+            fen = preview.startFen;
+        } catch (error) {
+            if (!(error instanceof chess.FenError)) throw error;
+            socket.emit('chess invite error', { gameId: data.gameId, message: error.message });
+            return false;
+        }
+    }
+    
+    // Rated games must start from the standard position and be against a person
+    const rated = Boolean(data.rated);
+    if (rated && (fen || isBotGame)) {
+        socket.emit('chess invite error', {
+            gameId: data.gameId,
+            message: 'Only games against people from the standard position can be rated'
+        });
+        return false;
+    }
+    
+    // The bot accepts straight away; the inviter can ask to play black
+    if (isBotGame) {
+        const botLevel = data.difficulty || bot.DEFAULT_DIFFICULTY;
+        if (!bot.isDifficulty(botLevel)) {
+            socket.emit('chess invite error', { gameId: data.gameId, message: 'Unknown bot difficulty' });
+            return false;
+        }
+        
+        const botIsWhite = data.color === 'black';
+        try {
+            await startChessGame({
+                gameId: data.gameId,
+                whitePlayer: botIsWhite ? bot.BOT_USERNAME : inviterUsername,
+                blackPlayer: botIsWhite ? inviterUsername : bot.BOT_USERNAME,
+                fen,
+                timeControl,
+                botLevel
+            });
+        } catch (error) {
+            console.error('Error creating chess game:', error);
+            socket.emit('chess invite error', { gameId: data.gameId, message: 'Failed to start the game' });
+            return false;
+        }
+        return true;
+    }
+    
+    // Remember the invite so only its target can accept it, whichever instance they're on. Offline
+    // targets find it in their inbox.
+    try {
+        if (!await db.getUserByUsername(data.targetUsername)) {
+            socket.emit('chess invite error', { gameId: data.gameId, message: 'User not found' });
+            return false;
+        }
+        const saved = await db.saveChessInvite({ gameId: data.gameId, from: inviterUsername, to: data.targetUsername, fen, timeControl, rated });
+        if (!saved) {
+            socket.emit('chess invite error', { gameId: data.gameId, message: 'That game id is already in use' });
+            return false;
+        }
+    } catch (error) {
+        console.error('Error saving chess invite:', error);
+        socket.emit('chess invite error', { gameId: data.gameId, message: 'Failed to send invite' });
+        return false;
+    }
+    
+    emitToUser(data.targetUsername, 'chess invite received', {
+        from: inviterUsername,
+        gameId: data.gameId,
+        fen,
+        timeControl: timeControl && timeControl.label,
+        rated
+    });
+    await notifications.notifyChessInvite({ gameId: data.gameId, from: inviterUsername, to: data.targetUsername, timeControl, rated })
+        .catch(error => console.error('Error adding chess invite notification:', error));
+
+    return true;
+}
+
+// Edits shared by socket events and REST routes
+async function editMessageFor(user, messageId, text) {
+    await moderation.requireCanPost(user);
+    rateLimit.requireLength(text);
+    const edited = await messages.editMessage(user, messageId, text);
+    emitToMessageAudience(edited, 'message edited', {
+        messageId: edited.id,
+        channelId: edited.channel_id,
+        message: edited.message,
+        editedAt: edited.edited_at
+    });
+    if (edited.channel_id) await announceMentions(edited);
+    return edited;
+}
+
+function emitMessageError(socket, error, fallbackMessage) {
+    if (error instanceof messages.MessageError || error instanceof attachments.AttachmentError) {
+        return socket.emit('message error', { message: error.message });
+    }
+    emitModerationError(socket, error, fallbackMessage);
+}
+
+// Deletes shared by socket events and REST routes; the audit entry is null when authors delete their own
+async function deleteMessageFor(user, messageId, reason) {
+    const { message, entry } = await moderation.deleteMessage(user, messageId, reason);
+    emitToMessageAudience(message, 'message deleted', {
+        messageId: message.id,
+        channelId: message.channel_id,
+        deletedBy: entry ? entry.actor : message.username
+    });
+    if (message.parent_id) {
+        await broadcastThreadSummary(message.channel_id, message.parent_id);
+    }
+    return { message, entry };
+}
+
+// Disconnects every socket of a user, on every instance
+function disconnectUser(username) {
+    io.in(userRoom(username)).disconnectSockets(true);
+}
+
+// Moderation of users, shared by socket events and REST routes. `notify` tells the target.
+const MODERATION_ACTIONS = {
+    mute: {
+        run: moderation.mute,
+        notify: (target, entry) => emitToUser(target.username, 'muted', { until: target.muted_until, by: entry.actor, reason: entry.reason })
+    },
+    unmute: {
+        run: moderation.unmute,
+        notify: (target, entry) => emitToUser(target.username, 'unmuted', { by: entry.actor })
+    },
+    kick: {
+        run: moderation.kick,
+        notify(target, entry) {
+            emitToUser(target.username, 'kicked', { by: entry.actor, reason: entry.reason });
+            disconnectUser(target.username);
+        }
+    },
+    ban: {
+        run: moderation.ban,
+        notify(target, entry) {
+            emitToUser(target.username, 'banned', { until: target.ban_expires_at, by: entry.actor, reason: entry.reason });
+            disconnectUser(target.username);
+        }
+    },
+    unban: {
+        run: moderation.unban,
+        notify: () => {}
+    },
+    role: {
+        run: moderation.setRole,
+        notify: (target, entry) => emitToUser(target.username, 'role changed', { role: moderation.roleOf(target), by: entry.actor })
+    }
+};
+
+async function moderateUser(user, action, username, options) {
+    const { target, entry } = await MODERATION_ACTIONS[action].run(user, username, options);
+    MODERATION_ACTIONS[action].notify(target, entry);
+    return entry;
+}
+
+function privateMessagePayload(message) {
+    return {
+        id: message.id,
+        from: message.username,
+        to: message.target_username,
+        message: message.message,
+        timestamp: new Date(message.created_at).toLocaleTimeString(),
+        type: 'private',
+        deliveredAt: message.delivered_at,
+        readAt: message.read_at,
+        editedAt: message.edited_at || null
+    };
+}
+
+// Hands a joining user the private messages sent while they were away and tells the senders
+async function deliverPendingMessages(socket, username) {
+    const pending = await db.deliverPendingPrivateMessages(username);
+    const idsBySender = new Map();
+    for (const message of pending) {
+        socket.emit('private message', privateMessagePayload(message));
+        if (!idsBySender.has(message.username)) idsBySender.set(message.username, []);
+        idsBySender.get(message.username).push(message.id);
+    }
+    
+    for (const [sender, messageIds] of idsBySender) {
+        emitToUser(sender, 'messages delivered', { to: username, messageIds, deliveredAt: new Date() });
+    }
+}
+
+// Marks a conversation read for `reader` and sends read receipts to the other participant
+async function markConversationRead(reader, partner) {
+    const messageIds = await db.markConversationRead(reader, partner);
+    if (messageIds.length > 0) {
+        emitToUser(partner, 'messages read', { by: reader, messageIds, readAt: new Date() });
+    }
+    // Keep the reader's other devices' unread counts in step
+    emitToUser(reader, 'conversation read', { username: partner });
+    await markNotificationsRead(reader, { kind: 'private_message', actor: partner });
+    return messageIds;
+}
+
+// Marks inbox notifications read (see db.markNotificationsRead for `filter`) and keeps the
+// user's devices in step with `notifications read`
+async function markNotificationsRead(username, filter) {
+    const ids = await db.markNotificationsRead(username, filter);
+    if (ids.length > 0) {
+        emitToUser(username, 'notifications read', { ids, unread: await db.getUnreadNotificationCount(username) });
+    }
+    return ids;
+}
+
+// Notifications read from the inbox, by socket event or REST
+async function readNotificationsFor(user, ids) {
+    const result = await notifications.markRead(user, ids);
+    if (result.ids.length > 0) emitToUser(user.username, 'notifications read', result);
+    return result;
+}
+
+// Reports channel failures to the socket; anything unexpected is logged
+function emitChannelError(socket, error, fallbackMessage) {
+    if (error instanceof channels.ChannelError) {
+        return socket.emit('channel error', { message: error.message });
+    }
+    emitModerationError(socket, error, fallbackMessage);
+}
+
+// Reports why a command failed, including failures of the actions it tried
+function emitCommandError(socket, error, fallbackMessage) {
+    const expected = [commands.CommandError, channels.ChannelError, messages.MessageError, moderation.ModerationError];
+    if (expected.some(type => error instanceof type)) {
+        return socket.emit('command error', { message: error.message, usage: error.usage || null });
+    }
+    emitModerationError(socket, error, fallbackMessage);
+}
+
+function emitModerationError(socket, error, fallbackMessage) {
+    if (error instanceof moderation.ModerationError) {
+        return socket.emit('moderation error', { message: error.message });
+    }
+    if (error instanceof rateLimit.RateLimitError) {
+        return socket.emit('rate limit error', rateLimit.describeError(error));
+    }
+    console.error(`${fallbackMessage}:`, error);
+    socket.emit('error', { message: fallbackMessage });
+}
+
+// Works out what others should see for a user and announces it if it changed.
+// Presence is counted over all of the user's sessions, so one closed tab doesn't sign them out.
+async function refreshPresence(username) {
+    const user = await db.getUserByUsername(username);
+    if (!user) return;
+    
+    const { sessions, active } = await db.getSessionCounts(user.id, presence.IDLE_TIMEOUT_MS);
+    const status = presence.visibleStatus(user.status, sessions, sessions > 0 && active === 0);
+    
+    // Only the request whose update actually changed the stored presence announces it
+    const previous = await db.setUserPresence(username, status);
+    if (previous === null) return;
+    
+    io.emit('presence update', { username, status });
+    if (previous === 'offline') {
+        io.except(userRoom(username)).emit('user joined', {
+            username: username,
+            message: `${username} joined the chat`,
+            timestamp: new Date().toLocaleTimeString()
+        });
+    } else if (status === 'offline') {
+        io.except(userRoom(username)).emit('user left', {
+            username: username,
+            message: `${username} left the chat`,
+            timestamp: new Date().toLocaleTimeString()
+        });
+    }
+    
+    const usersList = await db.getOnlineUsers();
+    io.emit('update users', usersList);
+}
+
+// Fixes presence that no longer matches the sessions: users whose devices all went idle
+// or came back, and users whose sessions went away with a stopped instance
+async function sweepPresence() {
+    for (const username of await db.getStalePresence(presence.IDLE_TIMEOUT_MS)) {
+        await refreshPresence(username);
+    }
+}
+
+// Keeps this instance registered and drops the sessions of instances that stopped
+async function heartbeat() {
+    await db.heartbeatInstance(INSTANCE_ID);
+    const reaped = await db.reapDeadInstances(INSTANCE_STALE_MS);
+    if (reaped > 0) console.log(`🧹 Cleared ${reaped} sessions from stopped instances`);
+    await sweepPresence();
+}
+
+// Reject socket connections without a valid access token
+io.use(auth.authenticateSocket);
+
+// Handle socket connections
+io.on('connection', (socket) => {
+    console.log('A user connected:', socket.id);
+    
+    // Oversized and too frequent events are dropped before any handler runs
+    socket.use(rateLimit.socketMiddleware(socket));
+    
+    // Any event counts as activity; an idle user coming back is shown as online again
+    socket.onAny(() => {
+        const username = activeUsers.get(socket.id);
+        if (!username || !presence.shouldRecordActivity(socket.id)) return;
+        
+        db.touchSession(socket.id)
+            .then(() => refreshPresence(username))
+            .catch(error => console.error('Error updating presence:', error));
+    });
+
+    // Handle user joining (identity comes from the handshake token, not the client)
+    socket.on('join', async () => {
+        try {
+            const user = await db.getUserById(socket.data.user.id);
+            if (!user) {
+                socket.emit('error', { message: 'Account no longer exists' });
+                return socket.disconnect(true);
+            }
+            const username = user.username;
+            
+            // Store active connection, one session per socket
+            if (!activeUsers.has(socket.id)) {
+                activeUsers.set(socket.id, username);
+                socket.join(userRoom(username));
+                await db.createSession(user.id, socket.id, INSTANCE_ID);
+            }
+            
+            // Subscribe to every channel the user belongs to
+            const defaultChannel = await channels.ensureDefaultMembership(user);
+            const visibleChannels = await db.getVisibleChannels(user.id);
+            for (const channel of visibleChannels.filter(channel => channel.is_member)) {
+                socket.join(channels.channelRoom(channel.id));
+            }
+            
+            // Update presence; others only hear about the user's first session
+            await refreshPresence(username);
+            socket.emit('status', { status: user.status });
+            
+            // Send the channel list and the default channel's recent messages
+            socket.emit('channel list', { channels: visibleChannels.map(channels.describeChannel) });
+            socket.emit('message history', await channelHistory(user, defaultChannel));
+            
+            // Send current users list with everyone's status
+            const usersList = await db.getOnlineUsers();
+            socket.emit('users list', usersList);
+            const presenceList = await db.getPresenceList();
+            socket.emit('presence list', { statuses: Object.fromEntries(presenceList.map(row => [row.username, row.presence])) });
+            
+            // Deliver private messages sent while offline, then the unread count per conversation
+            await deliverPendingMessages(socket, username);
+            const unread = await db.getUnreadCounts(username);
+            socket.emit('unread counts', {
+                conversations: Object.fromEntries(unread.map(row => [row.username, row.unread_count]))
+            });
+            
+            socket.emit('notification count', { unread: await db.getUnreadNotificationCount(username) });
+            
+            // Hand back any chess games left in progress
+            await sendActiveGames(socket, username);
+            
+            // Show the open challenges in the lobby
+            const challenges = await lobby.listChallenges();
+            socket.emit('lobby challenges', { challenges: challenges.map(lobby.describeChallenge) });
+            
+        } catch (error) {
+            console.error('Error handling user join:', error);
+            socket.emit('error', { message: 'Failed to join chat' });
+        }
+    });
+
+    // Handle chat messages; ones starting with / are commands
+    socket.on('chat message', async (data) => {
+        if (!activeUsers.has(socket.id) || !data) return;
+        try {
+            if (commands.isCommand(data.message)) {
+                return await runCommand(socket, data);
+            }
+            await postChatMessage(socket, data);
+        } catch (error) {
+            emitChannelError(socket, error, 'Failed to save message');
+        }
+    });
+
+    // Handle private messages
+    socket.on('private message', async (data) => {
+        if (!activeUsers.has(socket.id)) return;
+        try {
+            await sendPrivateMessageFor(socket.data.user, data.targetUsername, data.message);
+        } catch (error) {
+            if (error instanceof messages.MessageError) {
+                return socket.emit('private message error', { message: error.message });
+            }
+            emitModerationError(socket, error, 'Failed to send private message');
+        }
+    });
+
+    // The recipient has opened a conversation
+    socket.on('conversation read', async (data) => {
+        const username = activeUsers.get(socket.id);
+        const { username: partner } = data || {};
+        if (username && partner) {
+            try {
+                await markConversationRead(username, partner);
+            } catch (error) {
+                console.error('Error marking conversation read:', error);
+            }
+        }
+    });
+
+    // `notifications read` with { ids? } marks inbox notifications read (all of them without ids)
+    socket.on('notifications read', async (data) => {
+        if (!activeUsers.has(socket.id)) return;
+        try {
+            await readNotificationsFor(socket.data.user, (data || {}).ids);
+        } catch (error) {
+            if (!(error instanceof notifications.NotificationError)) {
+                console.error('Error marking notifications read:', error);
+            }
+            socket.emit('notification error', { message: error instanceof notifications.NotificationError ? error.message : 'Failed to mark notifications read' });
+        }
+    });
+
+    // Reactions are toggled per user and emoji; clients only say which emoji
+    socket.on('message reaction', async (data) => {
+        if (!activeUsers.has(socket.id)) return;
+        try {
+            const user = socket.data.user;
+            await moderation.requireCanPost(user);
+            const { message, added, reactions } = await messages.toggleReaction(user, data.messageId, data.reaction);
+            
+            emitToMessageAudience(message, 'message reaction update', {
+                messageId: message.id,
+                channelId: message.channel_id,
+                emoji: data.reaction,
+                username: user.username,
+                added,
+                reactions
+            });
+        } catch (error) {
+            emitMessageError(socket, error, 'Failed to update reaction');
+        }
+    });
+
+    socket.on('message edit', async (data) => {
+        if (!activeUsers.has(socket.id)) return;
+        try {
+            await editMessageFor(socket.data.user, data.messageId, data.message);
+        } catch (error) {
+            emitMessageError(socket, error, 'Failed to edit message');
+        }
+    });
+
+    socket.on('message delete', async (data) => {
+        if (!activeUsers.has(socket.id)) return;
+        try {
+            await deleteMessageFor(socket.data.user, data.messageId, data.reason);
+        } catch (error) {
+            emitModerationError(socket, error, 'Failed to delete message');
+        }
+    });
+
+    // Moderators act on users with `moderation <action>` ({ username, minutes?, role?, reason? });
+    // the audit entry comes back as `moderation done`
+    for (const action of Object.keys(MODERATION_ACTIONS)) {
+        socket.on(`moderation ${action}`, async (data) => {
+            if (!activeUsers.has(socket.id)) return;
+            try {
+                const entry = await moderateUser(socket.data.user, action, (data || {}).username, data || {});
+                socket.emit('moderation done', moderation.describeEntry(entry));
+            } catch (error) {
+                emitModerationError(socket, error, 'Failed to moderate user');
+            }
+        });
+    }
+
+    // File messages carry an attachment uploaded over HTTP beforehand (POST /api/attachments)
+    socket.on('file message', async (data) => {
+        const username = activeUsers.get(socket.id);
+        if (username) {
+            try {
+                await moderation.requireCanPost(socket.data.user);
+                const channelId = await postingChannelId(socket, data.channelId);
+                if (!channelId) {
+                    return socket.emit('channel error', { message: 'Join the channel first' });
+                }
+                
+                const attachment = await attachments.requireOwn(socket.data.user, data.attachmentId);
+                await rateLimit.checkMessage(socket.data.user, data.message);
+                const caption = typeof data.message === 'string' && data.message.trim();
+                const savedMessage = await db.saveMessage({
+                    username: username,
+                    message: caption || `Shared a file: ${attachment.file_name}`,
+                    messageType: 'file',
+                    attachmentId: attachment.id,
+                    channelId
+                });
+                
+                const messageData = {
+                    id: savedMessage.id,
+                    channelId,
+                    username: username,
+                    message: savedMessage.message,
+                    attachment: attachments.describeAttachment(attachment),
+                    fileName: attachment.file_name,
+                    fileType: attachment.mime_type,
+                    timestamp: new Date(savedMessage.created_at).toLocaleTimeString(),
+                    reactions: [],
+                    type: 'file'
+                };
+                
+                io.to(channels.channelRoom(channelId)).emit('file message', messageData);
+                await announceMessage(savedMessage);
+            } catch (error) {
+                emitMessageError(socket, error, 'Failed to save file message');
+            }
+        }
+    });
+
+    // Channel handlers
+    socket.on('channel list', async () => {
+        if (!activeUsers.has(socket.id)) return;
+        try {
+            const visible = await db.getVisibleChannels(socket.data.user.id);
+            socket.emit('channel list', { channels: visible.map(channels.describeChannel) });
+        } catch (error) {
+            emitChannelError(socket, error, 'Failed to fetch channels');
+        }
+    });
+
+    socket.on('channel create', async (data) => {
+        if (!activeUsers.has(socket.id)) return;
+        try {
+            await createChannelFor(socket.data.user, data || {});
+        } catch (error) {
+            emitChannelError(socket, error, 'Failed to create channel');
+        }
+    });
+
+    socket.on('channel join', async (data) => {
+        if (!activeUsers.has(socket.id)) return;
+        try {
+            const channel = await joinChannelFor(socket.data.user, data.channelId);
+            socket.emit('message history', await channelHistory(socket.data.user, channel));
+        } catch (error) {
+            emitChannelError(socket, error, 'Failed to join channel');
+        }
+    });
+
+    socket.on('channel leave', async (data) => {
+        if (!activeUsers.has(socket.id)) return;
+        try {
+            await leaveChannelFor(socket.data.user, data.channelId);
+        } catch (error) {
+            emitChannelError(socket, error, 'Failed to leave channel');
+        }
+    });
+
+    socket.on('channel invite', async (data) => {
+        if (!activeUsers.has(socket.id)) return;
+        try {
+            const { channel, invitee } = await inviteToChannelFor(socket.data.user, data.channelId, data.username);
+            socket.emit('channel invite sent', { channelId: channel.id, username: invitee });
+        } catch (error) {
+            emitChannelError(socket, error, 'Failed to send invite');
+        }
+    });
+
+    socket.on('channel history', async (data) => {
+        if (!activeUsers.has(socket.id)) return;
+        try {
+            const channel = await channels.requireMember(socket.data.user, data.channelId);
+            socket.emit('message history', await channelHistory(socket.data.user, channel, { limit: data.limit }));
+        } catch (error) {
+            emitChannelError(socket, error, 'Failed to fetch messages');
+        }
+    });
+
+    // Older or newer history for a channel ({ channelId }) or a private conversation ({ username }),
+    // continuing from the prevCursor/nextCursor of an earlier page
+    socket.on('load more', async (data) => {
+        if (!activeUsers.has(socket.id)) return;
+        const { channelId, username, before, after, limit } = data || {};
+        try {
+            if (username) {
+                const page = await conversationHistory(socket.data.user, username, { before, after, limit });
+                socket.emit('more messages', { username, ...page });
+            } else {
+                const channel = await channels.requireMember(socket.data.user, channelId);
+                socket.emit('more messages', await channelHistory(socket.data.user, channel, { before, after, limit }));
+            }
+        } catch (error) {
+            if (error instanceof channels.ChannelError) return emitChannelError(socket, error, 'Failed to fetch messages');
+            emitMessageError(socket, error, 'Failed to fetch messages');
+        }
+    });
+
+    // Threads: sockets viewing one receive its replies as they are posted
+    socket.on('thread open', async (data) => {
+        if (!activeUsers.has(socket.id)) return;
+        try {
+            const root = await channels.getThreadRoot(socket.data.user, data.messageId);
+            socket.join(channels.threadRoom(root.id));
+            socket.emit('thread', await threadPayload(socket.data.user, root, threadPage(data)));
+        } catch (error) {
+            emitChannelError(socket, error, 'Failed to fetch thread');
+        }
+    });
+
+    socket.on('thread close', (data) => {
+        const { messageId } = data || {};
+        if (!messageId) return;
+        socket.leave(channels.threadRoom(parseInt(messageId)));
+    });
+
+    // Chess game handlers
+    socket.on('chess invite', async (data) => {
+        const inviterUsername = activeUsers.get(socket.id);
+        const { targetUsername, gameId } = data || {};
+        if (!inviterUsername || !targetUsername) return;
+
+        try {
+            await sendChessInvite(socket, inviterUsername, data);
+        } catch (error) {
+            console.error('Error sending chess invite:', error);
+            socket.emit('chess invite error', { gameId, message: 'Failed to send invite' });
+        }
+    });
+
+    socket.on('chess invite response', async (data) => {
+        const responderUsername = activeUsers.get(socket.id);
+        if (!responderUsername) return;
+        
+        try {
+            // Taking the invite removes it, so answering twice does nothing
+            const invite = await db.takeChessInvite(data.gameId, data.inviterUsername, responderUsername);
+            if (!invite) return;
+            await markNotificationsRead(responderUsername, { kind: 'chess_invite', gameId: data.gameId });
+            
+            const inviterOnline = await db.isUserConnected(data.inviterUsername);
+            
+            if (data.accepted && inviterOnline) {
+                await startChessGame({
+                    gameId: data.gameId,
+                    whitePlayer: data.inviterUsername,
+                    blackPlayer: responderUsername,
+                    fen: invite.fen,
+                    timeControl: invite.time_control,
+                    rated: invite.rated
+                });
+            } else if (inviterOnline) {
+                emitToUser(data.inviterUsername, 'chess invite declined', {
+                    from: responderUsername
+                });
+            }
+        } catch (error) {
+            console.error('Error creating chess game:', error);
+        }
+    });
+
+    // Lobby: open challenges anyone can accept
+    socket.on('lobby challenge create', async (data) => {
+        const username = activeUsers.get(socket.id);
+        if (!username) return;
+        
+        try {
+            const timeControl = clock.parseTimeControl(data.timeControl);
+            const challenge = await lobby.createChallenge({
+                username,
+                rating: await getRating(username),
+                timeControl,
+                color: data.color || 'random',
+                rated: Boolean(data.rated)
+            });
+            io.emit('lobby challenge added', lobby.describeChallenge(challenge));
+        } catch (error) {
+            if (error instanceof clock.TimeControlError || error instanceof lobby.LobbyError) {
+                return socket.emit('lobby error', { message: error.message });
+            }
+            console.error('Error creating lobby challenge:', error);
+        }
+    });
+
+    socket.on('lobby challenge cancel', async (data) => {
+        const username = activeUsers.get(socket.id);
+        if (!username) return;
         
-        if (!username) {
-            return res.status(400).json({ error: 'Username is required' });
+        try {
+            const challenge = await lobby.cancelChallenge(data.challengeId, username);
+            if (challenge) challengeRemoved(challenge, 'cancelled');
+        } catch (error) {
+            console.error('Error cancelling lobby challenge:', error);
         }
+    });
+
+    socket.on('lobby challenge accept', async (data) => {
+        const username = activeUsers.get(socket.id);
+        if (!username) return;
         
-        const deletedMessage = await db.deleteMessage(messageId, username);
-        
-        if (!deletedMessage) {
-            return res.status(404).json({ error: 'Message not found or unauthorized' });
+        try {
+            // Taken off the board before the game is created so nobody else can accept it
+            const challenge = await lobby.acceptChallenge(data.challengeId, username);
+            challengeRemoved(challenge, 'accepted');
+            
+            await startChessGame({
+                gameId: crypto.randomUUID(),
+                ...lobby.assignColors(challenge, username),
+                timeControl: challenge.timeControl,
+                rated: challenge.rated
+            });
+        } catch (error) {
+            if (error instanceof lobby.LobbyError) {
+                return socket.emit('lobby error', { message: error.message });
+            }
+            console.error('Error creating chess game:', error);
         }
+    });
+
+    // Lobby: seek queue pairing players of similar rating
+    socket.on('lobby seek', async (data) => {
+        const username = activeUsers.get(socket.id);
+        if (!username) return;
         
-        // Notify all clients about message deletion
-        io.emit('message deleted', { messageId });
-        
-        res.json({ success: true, deletedMessage });
-    } catch (error) {
-        console.error('Error deleting message:', error);
-        res.status(500).json({ error: 'Failed to delete message' });
-    }
-});
+        try {
+            const timeControl = clock.parseTimeControl(data.timeControl);
+            const seek = await lobby.addSeek({
+                username,
+                rating: await getRating(username),
+                timeControl,
+                rated: Boolean(data.rated)
+            });
+            emitToUser(username, 'lobby seeking', {
+                timeControl: timeControl && timeControl.label,
+                rated: seek.rated
+            });
+            await pairSeeks();
+        } catch (error) {
+            if (error instanceof clock.TimeControlError) {
+                return socket.emit('lobby error', { message: error.message });
+            }
+            console.error('Error joining seek queue:', error);
+        }
+    });
 
-// In-memory storage for active connections (will be replaced with database sessions)
-const activeUsers = new Map(); // socketId -> username
-const chessGames = new Map(); // gameId -> game state (for active games)
+    socket.on('lobby seek cancel', async () => {
+        const username = activeUsers.get(socket.id);
+        if (!username) return;
+        
+        try {
+            if (await lobby.removeSeek(username)) {
+                emitToUser(username, 'lobby seek cancelled', {});
+            }
+        } catch (error) {
+            console.error('Error leaving seek queue:', error);
+        }
+    });
 
-// Handle socket connections
-io.on('connection', (socket) => {
-    console.log('A user connected:', socket.id);
+    socket.on('chess resume', async () => {
+        const username = activeUsers.get(socket.id);
+        if (username) {
+            try {
+                await sendActiveGames(socket, username);
+            } catch (error) {
+                console.error('Error resuming chess games:', error);
+                socket.emit('error', { message: 'Failed to load chess games' });
+            }
+        }
+    });
 
-    // Handle user joining
-    socket.on('join', async (username) => {
+    socket.on('chess move', async (data) => {
+        const playerUsername = activeUsers.get(socket.id);
+        if (!playerUsername) return;
+        
         try {
-            // Check if user exists, create if not
-            let user = await db.getUserByUsername(username);
-            if (!user) {
-                user = await db.createUser(username);
-            }
+            const game = await loadChessGame(data.gameId);
+            if (!game) return;
             
-            // Store active connection
-            activeUsers.set(socket.id, username);
+            const reason = await playChessMove(data.gameId, game, playerUsername, data);
+            if (reason) {
+                socket.emit('chess move rejected', {
+                    gameId: data.gameId,
+                    from: data.from,
+                    to: data.to,
+                    reason
+                });
+            }
+        } catch (error) {
+            console.error('Error updating chess game:', error);
+        }
+    });
+
+    socket.on('chess resign', async (data) => {
+        try {
+            const player = await getPlayerGame(socket, data.gameId);
+            if (!player) return;
             
-            // Update user online status
-            await db.updateUserOnlineStatus(username, true);
+            const gameEnd = chess.endGame(player.game, chess.opposite(player.color), 'resignation');
+            await finishChessGame(data.gameId, player.game, gameEnd);
+        } catch (error) {
+            console.error('Error resigning chess game:', error);
+        }
+    });
+
+    socket.on('chess draw offer', async (data) => {
+        try {
+            const player = await getPlayerGame(socket, data.gameId);
+            if (!player) return;
             
-            // Broadcast user joined message
-            socket.broadcast.emit('user joined', {
-                username: username,
-                message: `${username} joined the chat`,
-                timestamp: new Date().toLocaleTimeString()
-            });
+            const { game, username, color } = player;
+            const ply = game.moveHistory.length;
             
-            // Send recent messages to the new user
-            const recentMessages = await db.getRecentMessages(50);
-            socket.emit('message history', recentMessages);
+            // One offer per player per move, so a declined offer can't be repeated straight away
+            if (game.drawOffer || (game.lastDrawOffer && game.lastDrawOffer.color === color && game.lastDrawOffer.ply === ply)) {
+                return socket.emit('chess draw offer rejected', { gameId: data.gameId, reason: 'Draw already offered this move' });
+            }
             
-            // Send current users list
-            const usersList = await db.getOnlineUsers();
-            socket.emit('users list', usersList);
+            game.drawOffer = { color, ply };
+            game.lastDrawOffer = { color, ply };
             
-            // Broadcast updated users list to all clients
-            io.emit('update users', usersList);
+            // The bot never agrees to a draw
+            const opponent = playerOf(game, chess.opposite(color));
+            if (bot.isBot(opponent)) {
+                return await answerDrawOffer(data.gameId, game, chess.opposite(color), false);
+            }
+            if (!await saveChessGame(data.gameId, game)) {
+                return socket.emit('chess draw offer rejected', { gameId: data.gameId, reason: STALE_GAME_REASON });
+            }
+            emitToUser(opponent, 'chess draw offered', { gameId: data.gameId, from: username });
+        } catch (error) {
+            console.error('Error offering chess draw:', error);
+        }
+    });
+
+    socket.on('chess draw response', async (data) => {
+        try {
+            const player = await getPlayerGame(socket, data.gameId);
+            if (!player) return;
             
+            await answerDrawOffer(data.gameId, player.game, player.color, Boolean(data.accepted));
         } catch (error) {
-            console.error('Error handling user join:', error);
-            socket.emit('error', { message: 'Failed to join chat' });
+            console.error('Error answering chess draw offer:', error);
         }
     });
 
-    // Handle chat messages
-    socket.on('chat message', async (data) => {
-        const username = activeUsers.get(socket.id);
-        if (username) {
-            try {
-                const savedMessage = await db.saveMessage({
-                    username: username,
-                    message: data.message,
-                    messageType: 'text'
-                });
-                
-                const messageData = {
-                    id: savedMessage.id,
-                    username: username,
-                    message: data.message,
-                    timestamp: new Date(savedMessage.created_at).toLocaleTimeString(),
-                    reactions: savedMessage.reactions || {},
-                    type: 'text'
-                };
-                
-                io.emit('chat message', messageData);
-            } catch (error) {
-                console.error('Error saving message:', error);
+    socket.on('chess takeback request', async (data) => {
+        try {
+            const player = await getPlayerGame(socket, data.gameId);
+            if (!player) return;
+            
+            const { game, username, color } = player;
+            const hasMoved = game.moveHistory.some(entry => chess.colorOf(entry.piece) === color);
+            if (!hasMoved || game.takebackRequest) {
+                return socket.emit('chess takeback rejected', { gameId: data.gameId, reason: 'No move to take back' });
+            }
+            
+            game.takebackRequest = { color };
+            
+            // The bot always lets its opponent take a move back
+            const opponent = playerOf(game, chess.opposite(color));
+            if (bot.isBot(opponent)) {
+                return await answerTakeback(data.gameId, game, chess.opposite(color), true);
+            }
+            if (!await saveChessGame(data.gameId, game)) {
+                return socket.emit('chess takeback rejected', { gameId: data.gameId, reason: STALE_GAME_REASON });
             }
+            emitToUser(opponent, 'chess takeback requested', { gameId: data.gameId, from: username });
+        } catch (error) {
+            console.error('Error requesting chess takeback:', error);
         }
     });
 
-    // Handle private messages
-    socket.on('private message', async (data) => {
-        const senderUsername = activeUsers.get(socket.id);
-        if (senderUsername) {
-            try {
-                const targetSocketId = Array.from(activeUsers.entries())
-                    .find(([id, username]) => username === data.targetUsername)?.[0];
-                
-                if (targetSocketId) {
-                    const savedMessage = await db.saveMessage({
-                        username: senderUsername,
-                        message: data.message,
-                        messageType: 'private',
-                        isPrivate: true,
-                        targetUsername: data.targetUsername
-                    });
-                    
-                    const messageData = {
-                        id: savedMessage.id,
-                        from: senderUsername,
-                        to: data.targetUsername,
-                        message: data.message,
-                        timestamp: new Date(savedMessage.created_at).toLocaleTimeString(),
-                        type: 'private'
-                    };
-                    
-                    // Send to both sender and receiver
-                    socket.emit('private message', messageData);
-                    socket.to(targetSocketId).emit('private message', messageData);
-                }
-            } catch (error) {
-                console.error('Error saving private message:', error);
-            }
+    socket.on('chess takeback response', async (data) => {
+        try {
+            const player = await getPlayerGame(socket, data.gameId);
+            if (!player) return;
+            
+            await answerTakeback(data.gameId, player.game, player.color, Boolean(data.accepted));
+        } catch (error) {
+            console.error('Error answering chess takeback:', error);
         }
     });
 
-    // Handle message reactions
-    socket.on('message reaction', async (data) => {
-        const username = activeUsers.get(socket.id);
-        if (username) {
-            try {
-                // This is a simplified version - in production you'd want to fetch the current reactions first
-                const reactions = data.reactions || {};
-                if (!reactions[data.reaction]) {
-                    reactions[data.reaction] = [];
-                }
-                
-                const userIndex = reactions[data.reaction].indexOf(username);
-                if (userIndex > -1) {
-                    reactions[data.reaction].splice(userIndex, 1);
-                } else {
-                    reactions[data.reaction].push(username);
-                }
-                
-                await db.updateMessageReactions(data.messageId, reactions);
-                
-                io.emit('message reaction update', {
-                    messageId: data.messageId,
-                    reactions: reactions
-                });
-            } catch (error) {
-                console.error('Error updating message reactions:', error);
+    socket.on('chess abort', async (data) => {
+        try {
+            const player = await getPlayerGame(socket, data.gameId);
+            if (!player) return;
+            
+            // Only possible before both sides have moved
+            if (chess.bothSidesMoved(player.game)) {
+                return socket.emit('chess abort rejected', { gameId: data.gameId, reason: 'Both players have already moved' });
             }
+            
+            await finishChessGame(data.gameId, player.game, chess.abortGame(player.game));
+        } catch (error) {
+            console.error('Error aborting chess game:', error);
         }
     });
 
-    // Handle file uploads
-    socket.on('file message', async (data) => {
+    // Spectating: anyone but the players can watch a live game
+    socket.on('chess spectate', async (data) => {
         const username = activeUsers.get(socket.id);
-        if (username) {
-            try {
-                const savedMessage = await db.saveMessage({
-                    username: username,
-                    message: `Shared a file: ${data.fileName}`,
-                    messageType: 'file',
-                    fileName: data.fileName,
-                    fileData: data.fileData,
-                    fileType: data.fileType
-                });
-                
-                const messageData = {
-                    id: savedMessage.id,
-                    username: username,
-                    fileName: data.fileName,
-                    fileData: data.fileData,
-                    fileType: data.fileType,
-                    timestamp: new Date(savedMessage.created_at).toLocaleTimeString(),
-                    reactions: savedMessage.reactions || {},
-                    type: 'file'
-                };
-                
-                io.emit('file message', messageData);
-            } catch (error) {
-                console.error('Error saving file message:', error);
+        if (!username) return;
+        
+        try {
+            const game = await loadChessGame(data.gameId);
+            if (!game || game.gameStatus !== 'active') {
+                return socket.emit('chess spectate error', { gameId: data.gameId, message: 'Game not found or already finished' });
             }
+            if (username === game.whitePlayer || username === game.blackPlayer) {
+                return socket.emit('chess spectate error', { gameId: data.gameId, message: 'You are playing this game' });
+            }
+            
+            socket.join(spectatorRoom(data.gameId));
+            
+            const chatHistory = await db.getSpectatorMessages(data.gameId, 50);
+            socket.emit('chess spectate', {
+                ...gamePayload(data.gameId, game),
+                chatHistory,
+                spectatorCount: await getSpectatorCount(data.gameId)
+            });
+            await broadcastSpectatorCount(data.gameId, game);
+        } catch (error) {
+            console.error('Error joining chess game as spectator:', error);
         }
     });
 
-    // Chess game handlers
-    socket.on('chess invite', (data) => {
-        const inviterUsername = activeUsers.get(socket.id);
-        const targetSocketId = Array.from(activeUsers.entries())
-            .find(([id, username]) => username === data.targetUsername)?.[0];
+    socket.on('chess unspectate', async (data) => {
+        const { gameId } = data || {};
+        if (!gameId) return;
         
-        if (targetSocketId && inviterUsername) {
-            socket.to(targetSocketId).emit('chess invite received', {
-                from: inviterUsername,
-                gameId: data.gameId
-            });
+        try {
+            socket.leave(spectatorRoom(gameId));
+            const game = await loadChessGame(gameId);
+            if (game) await broadcastSpectatorCount(gameId, game);
+        } catch (error) {
+            console.error('Error updating spectator count:', error);
         }
     });
 
-    socket.on('chess invite response', async (data) => {
-        const responderUsername = activeUsers.get(socket.id);
-        const inviterSocketId = Array.from(activeUsers.entries())
-            .find(([id, username]) => username === data.inviterUsername)?.[0];
+    // Spectator chat is kept apart from the main feed and hidden from the players
+    socket.on('chess spectator message', async (data) => {
+        const username = activeUsers.get(socket.id);
+        if (!username || !data) return;
         
-        if (data.accepted && responderUsername && inviterSocketId) {
-            try {
-                // Create new chess game
-                const gameState = createNewChessGame(data.inviterUsername, responderUsername);
-                
-                // Save to database
-                await db.createChessGame({
-                    gameId: data.gameId,
-                    whitePlayer: data.inviterUsername,
-                    blackPlayer: responderUsername,
-                    boardState: gameState.board
-                });
-                
-                // Store in memory for active game
-                chessGames.set(data.gameId, gameState);
-                
-                // Notify both players
-                io.to(socket.id).emit('chess game started', { gameId: data.gameId, gameState });
-                io.to(inviterSocketId).emit('chess game started', { gameId: data.gameId, gameState });
-                
-                // Save system message to database
-                await db.saveMessage({
-                    username: 'System',
-                    message: `🎯 Chess game started between ${data.inviterUsername} and ${responderUsername}`,
-                    messageType: 'system'
-                });
-                
-                // Broadcast system message
-                const gameMessage = {
-                    id: Date.now() + Math.random(),
-                    message: `🎯 Chess game started between ${data.inviterUsername} and ${responderUsername}`,
-                    timestamp: new Date().toLocaleTimeString(),
-                    type: 'chess_start'
-                };
-                io.emit('chess game message', gameMessage);
-            } catch (error) {
-                console.error('Error creating chess game:', error);
-            }
-        } else if (inviterSocketId) {
-            socket.to(inviterSocketId).emit('chess invite declined', {
-                from: responderUsername
+        try {
+            const room = spectatorRoom(data.gameId);
+            const message = typeof data.message === 'string' ? data.message.trim() : '';
+            if (!socket.rooms.has(room) || !message) return;
+            
+            await moderation.requireCanPost(socket.data.user);
+            await rateLimit.checkMessage(socket.data.user, message);
+            const savedMessage = await db.saveSpectatorMessage({ gameId: data.gameId, username, message });
+            io.to(room).emit('chess spectator message', {
+                id: savedMessage.id,
+                gameId: data.gameId,
+                username,
+                message,
+                timestamp: new Date(savedMessage.created_at).toLocaleTimeString()
             });
+        } catch (error) {
+            emitModerationError(socket, error, 'Failed to send spectator message');
         }
     });
 
-    socket.on('chess move', async (data) => {
-        const game = chessGames.get(data.gameId);
-        const playerUsername = activeUsers.get(socket.id);
+    // Update spectator counts for any games this socket was watching
+    socket.on('disconnecting', () => {
+        const watched = Array.from(socket.rooms)
+            .filter(room => room.startsWith('spectate:'))
+            .map(room => room.slice('spectate:'.length));
         
-        if (game && playerUsername) {
-            // Validate it's the player's turn
-            if ((game.currentTurn === 'white' && game.whitePlayer === playerUsername) ||
-                (game.currentTurn === 'black' && game.blackPlayer === playerUsername)) {
-                
-                // Validate and make the move
-                if (isValidMove(game, data.from, data.to)) {
-                    makeMove(game, data.from, data.to);
-                    
-                    // Switch turns
-                    game.currentTurn = game.currentTurn === 'white' ? 'black' : 'white';
-                    
-                    try {
-                        // Update game in database
-                        await db.updateChessGame(data.gameId, {
-                            currentTurn: game.currentTurn,
-                            boardState: game.board,
-                            gameStatus: game.gameStatus,
-                            moveHistory: game.moveHistory,
-                            winner: game.winner
-                        });
-                        
-                        // Update in-memory game state
-                        chessGames.set(data.gameId, game);
-                        
-                        // Notify both players
-                        const whiteSocketId = Array.from(activeUsers.entries())
-                            .find(([id, username]) => username === game.whitePlayer)?.[0];
-                        const blackSocketId = Array.from(activeUsers.entries())
-                            .find(([id, username]) => username === game.blackPlayer)?.[0];
-                        
-                        if (whiteSocketId) io.to(whiteSocketId).emit('chess move made', { gameId: data.gameId, gameState: game });
-                        if (blackSocketId) io.to(blackSocketId).emit('chess move made', { gameId: data.gameId, gameState: game });
-                        
-                        // Check for game end conditions
-                        checkGameEnd(game, data.gameId);
-                    } catch (error) {
-                        console.error('Error updating chess game:', error);
-                    }
+        // Rooms are left after this handler, so count once the socket is gone
+        setImmediate(async () => {
+            try {
+                for (const gameId of watched) {
+                    const game = await loadChessGame(gameId);
+                    if (game) await broadcastSpectatorCount(gameId, game);
                 }
+            } catch (error) {
+                console.error('Error updating spectator count:', error);
             }
+        });
+    });
+
+    // Choose a status; it applies to all of the user's devices
+    socket.on('set status', async (data) => {
+        const username = activeUsers.get(socket.id);
+        if (!username) return;
+        const { status } = data || {};
+        if (!presence.isStatus(status)) {
+            return socket.emit('error', { message: `Status must be one of ${presence.STATUSES.join(', ')}` });
+        }
+        
+        try {
+            await setStatusFor(username, status);
+        } catch (error) {
+            console.error('Error setting status:', error);
+            socket.emit('error', { message: 'Failed to set status' });
         }
     });
 
     // Handle typing indicator
-    socket.on('typing', (data) => {
+    socket.on('typing', async (data) => {
         const username = activeUsers.get(socket.id);
         if (username) {
-            socket.broadcast.emit('typing', {
-                username: username,
-                isTyping: data.isTyping
-            });
+            try {
+                const channelId = await postingChannelId(socket, data.channelId);
+                if (!channelId) return;
+                
+                socket.to(channels.channelRoom(channelId)).emit('typing', {
+                    username: username,
+                    channelId,
+                    isTyping: data.isTyping
+                });
+            } catch (error) {
+                console.error('Error sending typing indicator:', error);
+            }
         }
     });
 
@@ -423,22 +2565,14 @@ io.on('connection', (socket) => {
         const username = activeUsers.get(socket.id);
         if (username) {
             try {
-                // Remove from active users
+                // Remove from active users and end this session
                 activeUsers.delete(socket.id);
+                presence.forget(socket.id);
+                await db.removeSession(socket.id);
+                if (!await db.isUserConnected(username)) await leaveLobby(username);
                 
-                // Update user offline status in database
-                await db.updateUserOnlineStatus(username, false);
-                
-                // Broadcast user left message
-                socket.broadcast.emit('user left', {
-                    username: username,
-                    message: `${username} left the chat`,
-                    timestamp: new Date().toLocaleTimeString()
-                });
-                
-                // Broadcast updated users list
-                const usersList = await db.getOnlineUsers();
-                io.emit('update users', usersList);
+                // Only the user's last session going away takes them offline
+                await refreshPresence(username);
             } catch (error) {
                 console.error('Error handling user disconnect:', error);
             }
@@ -447,155 +2581,6 @@ io.on('connection', (socket) => {
     });
 });
 
-// Chess game logic functions
-function createNewChessGame(whitePlayer, blackPlayer) {
-    return {
-        whitePlayer,
-        blackPlayer,
-        currentTurn: 'white',
-        board: [
-            ['r', 'n', 'b', 'q', 'k', 'b', 'n', 'r'],
-            ['p', 'p', 'p', 'p', 'p', 'p', 'p', 'p'],
-            [null, null, null, null, null, null, null, null],
-            [null, null, null, null, null, null, null, null],
-            [null, null, null, null, null, null, null, null],
-            [null, null, null, null, null, null, null, null],
-            ['P', 'P', 'P', 'P', 'P', 'P', 'P', 'P'],
-            ['R', 'N', 'B', 'Q', 'K', 'B', 'N', 'R']
-        ],
-        gameStatus: 'active',
-        moveHistory: []
-    };
-}
-
-function isValidMove(game, from, to) {
-    const [fromRow, fromCol] = from;
-    const [toRow, toCol] = to;
-    
-    // Basic bounds checking
-    if (fromRow < 0 || fromRow > 7 || fromCol < 0 || fromCol > 7 ||
-        toRow < 0 || toRow > 7 || toCol < 0 || toCol > 7) {
-        return false;
-    }
-    
-    const piece = game.board[fromRow][fromCol];
-    if (!piece) return false;
-    
-    // Check if piece belongs to current player
-    const isWhitePiece = piece === piece.toUpperCase();
-    if ((game.currentTurn === 'white' && !isWhitePiece) ||
-        (game.currentTurn === 'black' && isWhitePiece)) {
-        return false;
-    }
-    
-    // Basic piece movement validation (simplified)
-    const targetPiece = game.board[toRow][toCol];
-    
-    // Can't capture own piece
-    if (targetPiece) {
-        const isTargetWhite = targetPiece === targetPiece.toUpperCase();
-        if (isWhitePiece === isTargetWhite) return false;
-    }
-    
-    // Simplified movement rules for each piece type
-    const pieceType = piece.toLowerCase();
-    const rowDiff = Math.abs(toRow - fromRow);
-    const colDiff = Math.abs(toCol - fromCol);
-    
-    switch (pieceType) {
-        case 'p': // Pawn
-            const direction = isWhitePiece ? -1 : 1;
-            const startRow = isWhitePiece ? 6 : 1;
-            
-            if (fromCol === toCol) { // Moving forward
-                if (toRow === fromRow + direction && !targetPiece) return true;
-                if (fromRow === startRow && toRow === fromRow + 2 * direction && !targetPiece) return true;
-            } else if (colDiff === 1 && toRow === fromRow + direction && targetPiece) {
-                return true; // Diagonal capture
-            }
-            return false;
-            
-        case 'r': // Rook
-            return (rowDiff === 0 || colDiff === 0) && isPathClear(game.board, from, to);
-            
-        case 'n': // Knight
-            return (rowDiff === 2 && colDiff === 1) || (rowDiff === 1 && colDiff === 2);
-            
-        case 'b': // Bishop
-            return rowDiff === colDiff && isPathClear(game.board, from, to);
-            
-        case 'q': // Queen
-            return ((rowDiff === 0 || colDiff === 0) || (rowDiff === colDiff)) && isPathClear(game.board, from, to);
-            
-        case 'k': // King
-            return rowDiff <= 1 && colDiff <= 1;
-            
-        default:
-            return false;
-    }
-}
-
-function isPathClear(board, from, to) {
-    const [fromRow, fromCol] = from;
-    const [toRow, toCol] = to;
-    
-    const rowStep = toRow > fromRow ? 1 : toRow < fromRow ? -1 : 0;
-    const colStep = toCol > fromCol ? 1 : toCol < fromCol ? -1 : 0;
-    
-    let currentRow = fromRow + rowStep;
-    let currentCol = fromCol + colStep;
-    
-    while (currentRow !== toRow || currentCol !== toCol) {
-        if (board[currentRow][currentCol] !== null) return false;
-        currentRow += rowStep;
-        currentCol += colStep;
-    }
-    
-    return true;
-}
-
-function makeMove(game, from, to) {
-    const [fromRow, fromCol] = from;
-    const [toRow, toCol] = to;
-    
-    const piece = game.board[fromRow][fromCol];
-    const capturedPiece = game.board[toRow][toCol];
-    
-    // Make the move
-    game.board[toRow][toCol] = piece;
-    game.board[fromRow][fromCol] = null;
-    
-    // Record move in history
-    game.moveHistory.push({
-        from,
-        to,
-        piece,
-        capturedPiece,
-        timestamp: new Date().toISOString()
-    });
-}
-
-function checkGameEnd(game, gameId) {
-    // Simplified game end detection
-    let whiteKing = false, blackKing = false;
-    
-    for (let row = 0; row < 8; row++) {
-        for (let col = 0; col < 8; col++) {
-            const piece = game.board[row][col];
-            if (piece === 'K') whiteKing = true;
-            if (piece === 'k') blackKing = true;
-        }
-    }
-    
-    if (!whiteKing) {
-        game.gameStatus = 'black_wins';
-        io.emit('chess game ended', { gameId, winner: game.blackPlayer, reason: 'checkmate' });
-    } else if (!blackKing) {
-        game.gameStatus = 'white_wins';
-        io.emit('chess game ended', { gameId, winner: game.whitePlayer, reason: 'checkmate' });
-    }
-}
-
 // Get local IP address for mobile access
 function getLocalIP() {
     const interfaces = os.networkInterfaces();
@@ -618,6 +2603,35 @@ async function startServer() {
         // Initialize database tables
         await initializeTables();
         
+        // Deliver socket.io events through Postgres so they reach sockets on every instance
+        io.adapter(createAdapter(pool));
+        
+        // Register this instance and drop sessions left behind by its last run or by stopped instances
+        await db.heartbeatInstance(INSTANCE_ID);
+        const staleSessions = await db.clearInstanceSessions(INSTANCE_ID) + await db.reapDeadInstances(INSTANCE_STALE_MS);
+        if (staleSessions > 0) console.log(`🧹 Cleared ${staleSessions} stale sessions`);
+        await sweepPresence();
+        
+        // Restart clocks and bot searches for games left running before a restart
+        await ensureBotUser();
+        await resumeChessGames();
+        
+        // Expire old challenges and widen seek windows in the background
+        setInterval(() => {
+            sweepLobby().catch(error => console.error('Error sweeping lobby:', error));
+        }, LOBBY_SWEEP_INTERVAL).unref();
+        
+        // Retry failed webhook deliveries once they are due
+        setInterval(deliverWebhooks, WEBHOOK_POLL_INTERVAL).unref();
+        
+        // Forget rate limit state for clients that have gone quiet
+        setInterval(() => rateLimit.sweep(), 60 * 1000).unref();
+        
+        // Stay registered, mark idle users away and clean up after stopped instances
+        setInterval(() => {
+            heartbeat().catch(error => console.error('Error sending heartbeat:', error));
+        }, HEARTBEAT_INTERVAL).unref();
+        
         // Start the server
         server.listen(PORT, '0.0.0.0', () => {
             const localIP = getLocalIP();
@@ -625,6 +2639,13 @@ async function startServer() {
             console.log(`📱 Mobile access: http://${localIP}:${PORT}`);
             console.log(`🌐 Network access: http://0.0.0.0:${PORT}`);
             console.log(`💾 Database: Connected to Supabase PostgreSQL`);
+            
+            // Files sent before attachments existed move out of the messages table in the background
+            attachments.migrateFileData()
+                .then(movedFiles => {
+                    if (movedFiles > 0) console.log(`📎 Moved ${movedFiles} files into the blob store`);
+                })
+                .catch(error => console.error('Error moving files into the blob store:', error));
         });
     } catch (error) {
         console.error('❌ Failed to start server:', error);
@@ -0,0 +1,347 @@
+// Webhooks, managed by admins. Incoming webhooks let other systems post into a channel as a bot user
+// by calling a secret URL. Outgoing webhooks POST JSON signed with HMAC-SHA256 to a URL when messages
+// are posted, people are mentioned or chess games end; failed deliveries are retried with backoff and
+// every delivery is kept in webhook_deliveries. An outgoing webhook with a bot can answer a message
+// with { "text": "..." } to reply in the channel as that bot.
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { db } = require('./database');
+const { BOT_USERNAME } = require('./bot');
+const moderation = require('./moderation');
+const channels = require('./channels');
+
+const EVENTS = ['message', 'mention', 'chess_result'];
+const BOT_NAME_PATTERN = /^[A-Za-z0-9_]{3,30}$/;
+const RESERVED_BOT_NAMES = ['system', BOT_USERNAME.toLowerCase()];
+const MAX_NAME_LENGTH = 100;
+
+// A delivery is tried MAX_ATTEMPTS times, waiting RETRY_BASE_MS, then twice as long each time
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+const DELIVERY_BATCH = 20;
+const MAX_RESPONSE_BYTES = 64 * 1024;
+const DELIVERY_PAGE_SIZE = 50;
+
+// Raised for webhook requests that can't be honoured; status is used by REST routes
+class WebhookError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'WebhookError';
+        this.status = status;
+    }
+}
+
+// Incoming webhooks only store a hash of their token, like refresh tokens
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// The signature sent as X-Webhook-Signature: `sha256=` and the HMAC of `<timestamp>.<body>`
+function sign(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function hookPath(webhookId, token) {
+    return `/api/hooks/${webhookId}/${token}`;
+}
+
+function cleanName(name) {
+    const text = typeof name === 'string' ? name.trim() : '';
+    if (!text || text.length > MAX_NAME_LENGTH) {
+        throw new WebhookError(`Webhook names are 1-${MAX_NAME_LENGTH} characters`);
+    }
+    return text;
+}
+
+function parseId(webhookId) {
+    const id = parseInt(webhookId);
+    if (!Number.isInteger(id)) throw new WebhookError('Webhook not found', 404);
+    return id;
+}
+
+// The bot user a webhook posts as, created the first time it is named
+async function requireBot(botName) {
+    if (typeof botName !== 'string' || !BOT_NAME_PATTERN.test(botName)) {
+        throw new WebhookError('Bot names must be 3-30 letters, numbers or underscores');
+    }
+    if (RESERVED_BOT_NAMES.includes(botName.toLowerCase())) {
+        throw new WebhookError('Bot name is reserved');
+    }
+    const bot = await db.ensureBotUser(botName);
+    if (!bot) throw new WebhookError(`${botName} is a person's name`, 409);
+    return bot;
+}
+
+function record(actor, action, webhook, kind) {
+    return db.addAuditEntry({
+        actor: actor.username,
+        action,
+        channelId: webhook.channel_id,
+        details: { kind, webhookId: webhook.id, name: webhook.name }
+    });
+}
+
+// Creates an incoming webhook posting to `channelId` as `botName`. The token is only ever returned here.
+async function createIncoming(user, { name, channelId, botName } = {}) {
+    const actor = await moderation.requireRole(user, 'admin');
+    const webhookName = cleanName(name);
+    const channel = await channels.getChannel(channelId);
+    const bot = await requireBot(botName);
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const webhook = await db.createIncomingWebhook({
+        name: webhookName,
+        channelId: channel.id,
+        botUsername: bot.username,
+        tokenHash: hashToken(token),
+        createdBy: actor.username
+    });
+    await record(actor, 'create_webhook', webhook, 'incoming');
+    return { webhook, token, url: hookPath(webhook.id, token) };
+}
+
+// The incoming webhook a hook URL belongs to
+async function authenticateIncoming(webhookId, token) {
+    const id = parseInt(webhookId);
+    const webhook = Number.isInteger(id) && typeof token === 'string'
+        ? await db.useIncomingWebhook(id, hashToken(token))
+        : null;
+    if (!webhook) throw new WebhookError('Webhook not found', 404);
+    return webhook;
+}
+
+// Creates an outgoing webhook. The secret is only ever returned here; receivers use it to check
+// signatures.
+async function createOutgoing(user, { name, url, events, channelId = null, botName = null } = {}) {
+    const actor = await moderation.requireRole(user, 'admin');
+    const webhookName = cleanName(name);
+
+    let target = null;
+    try {
+        target = new URL(url);
+    } catch (error) {
+        target = null;
+    }
+    if (!target || !['http:', 'https:'].includes(target.protocol)) {
+        throw new WebhookError('Outgoing webhooks need an http(s) URL');
+    }
+    if (!Array.isArray(events) || events.length === 0 || !events.every(event => EVENTS.includes(event))) {
+        throw new WebhookError(`Events must be some of ${EVENTS.join(', ')}`);
+    }
+
+    const channel = channelId === null || channelId === undefined ? null : await channels.getChannel(channelId);
+    const bot = botName ? await requireBot(botName) : null;
+
+    const secret = crypto.randomBytes(32).toString('hex');
+    const webhook = await db.createOutgoingWebhook({
+        name: webhookName,
+        url: target.toString(),
+        secret,
+        events: Array.from(new Set(events)),
+        channelId: channel ? channel.id : null,
+        botUsername: bot ? bot.username : null,
+        createdBy: actor.username
+    });
+    await record(actor, 'create_webhook', webhook, 'outgoing');
+    return { webhook, secret };
+}
+
+async function list(user) {
+    await moderation.requireRole(user, 'admin');
+    const [incoming, outgoing] = await Promise.all([db.getIncomingWebhooks(), db.getOutgoingWebhooks()]);
+    return { incoming: incoming.map(describeIncoming), outgoing: outgoing.map(describeOutgoing) };
+}
+
+// `kind` is 'incoming' or 'outgoing'; an outgoing webhook's deliveries go with it
+async function remove(user, kind, webhookId) {
+    const actor = await moderation.requireRole(user, 'admin');
+    const id = parseId(webhookId);
+    const webhook = kind === 'incoming' ? await db.deleteIncomingWebhook(id) : await db.deleteOutgoingWebhook(id);
+    if (!webhook) throw new WebhookError('Webhook not found', 404);
+    await record(actor, 'delete_webhook', webhook, kind);
+    return webhook;
+}
+
+// An outgoing webhook's delivery log, newest first
+async function getDeliveries(user, webhookId, { page, limit } = {}) {
+    await moderation.requireRole(user, 'admin');
+    const webhook = await db.getOutgoingWebhook(parseId(webhookId));
+    if (!webhook) throw new WebhookError('Webhook not found', 404);
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const size = Math.min(Math.max(parseInt(limit) || DELIVERY_PAGE_SIZE, 1), 100);
+    const { deliveries, total } = await db.getWebhookDeliveries(webhook.id, size, (pageNumber - 1) * size);
+    return { page: pageNumber, limit: size, total, deliveries: deliveries.map(describeDelivery) };
+}
+
+// Queues `event` for every outgoing webhook subscribed to it. Channel events pass their `channel`;
+// webhooks watching every channel don't see invite-only ones. `from` is the bot that caused the event:
+// webhooks that can reply don't hear about bots' messages, so two bots can't answer each other forever.
+// Returns how many deliveries were queued.
+async function dispatch(event, data, { channel = null, from = null } = {}) {
+    const webhooks = await db.getSubscribedWebhooks(event, channel ? channel.id : null, !channel || !channel.is_private);
+    const targets = webhooks.filter(webhook => !from || !webhook.bot_username);
+    if (targets.length === 0) return 0;
+
+    await db.queueWebhookDeliveries(targets.map(webhook => webhook.id), event, data);
+    return targets.length;
+}
+
+// POSTs `body`, resolving with { status, body } for any HTTP response and rejecting on network
+// errors and timeouts. Only the first MAX_RESPONSE_BYTES of the response are kept.
+function postJson(url, body, headers) {
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+        const request = transport.request(target, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            timeout: TIMEOUT_MS
+        }, (response) => {
+            const chunks = [];
+            let size = 0;
+            response.on('data', (chunk) => {
+                if (size < MAX_RESPONSE_BYTES) chunks.push(chunk);
+                size += chunk.length;
+            });
+            response.on('end', () => resolve({
+                status: response.statusCode,
+                body: Buffer.concat(chunks).subarray(0, MAX_RESPONSE_BYTES).toString('utf8')
+            }));
+            response.on('error', reject);
+        });
+        request.on('timeout', () => request.destroy(new Error(`Timed out after ${TIMEOUT_MS}ms`)));
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+// A receiver replies to a message or mention by answering with JSON carrying `text`
+function replyText(delivery, response) {
+    if (!delivery.bot_username || !delivery.payload.channelId) return null;
+    try {
+        const reply = JSON.parse(response.body);
+        return reply && typeof reply.text === 'string' && reply.text.trim() ? reply.text : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function isRetryable(status) {
+    return status >= 500 || status === 408 || status === 429;
+}
+
+async function attempt(delivery, onReply) {
+    const body = JSON.stringify({
+        id: delivery.id,
+        event: delivery.event,
+        webhookId: delivery.webhook_id,
+        attempt: delivery.attempts,
+        createdAt: delivery.created_at,
+        data: delivery.payload
+    });
+    const timestamp = String(Math.floor(Date.now() / 1000));
+
+    let response = null;
+    let error = null;
+    try {
+        response = await postJson(delivery.url, body, {
+            'Content-Type': 'application/json',
+            'User-Agent': 'realtime-chat-webhooks',
+            'X-Webhook-Id': String(delivery.webhook_id),
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Delivery': String(delivery.id),
+            'X-Webhook-Timestamp': timestamp,
+            'X-Webhook-Signature': sign(delivery.secret, timestamp, body)
+        });
+    } catch (requestError) {
+        error = requestError.message;
+    }
+
+    if (response && response.status >= 200 && response.status < 300) {
+        await db.recordWebhookAttempt(delivery.id, { status: 'succeeded', responseStatus: response.status });
+        const text = replyText(delivery, response);
+        if (text && onReply) {
+            await onReply(delivery, text).catch(replyError => {
+                console.error(`❌ Webhook ${delivery.webhook_id} reply failed:`, replyError.message);
+            });
+        }
+        return;
+    }
+
+    const retry = (!response || isRetryable(response.status)) && delivery.attempts < MAX_ATTEMPTS;
+    await db.recordWebhookAttempt(delivery.id, {
+        status: retry ? 'pending' : 'failed',
+        responseStatus: response ? response.status : null,
+        error: error || `HTTP ${response.status}`,
+        nextAttemptAt: retry ? new Date(Date.now() + RETRY_BASE_MS * 2 ** (delivery.attempts - 1)) : null
+    });
+}
+
+// Sends the deliveries that are due. `onReply(delivery, text)` posts a bot's reply.
+// Returns how many were attempted.
+async function deliverDue(onReply) {
+    const deliveries = await db.claimWebhookDeliveries(DELIVERY_BATCH, TIMEOUT_MS * 2);
+    await Promise.all(deliveries.map(delivery => attempt(delivery, onReply)));
+    return deliveries.length;
+}
+
+// Client-facing views; tokens and secrets are never shown again after creation
+function describeIncoming(webhook) {
+    return {
+        id: webhook.id,
+        name: webhook.name,
+        channelId: webhook.channel_id,
+        botUsername: webhook.bot_username,
+        createdBy: webhook.created_by,
+        createdAt: webhook.created_at,
+        lastUsedAt: webhook.last_used_at
+    };
+}
+
+function describeOutgoing(webhook) {
+    return {
+        id: webhook.id,
+        name: webhook.name,
+        url: webhook.url,
+        events: webhook.events,
+        channelId: webhook.channel_id,
+        botUsername: webhook.bot_username,
+        createdBy: webhook.created_by,
+        createdAt: webhook.created_at
+    };
+}
+
+function describeDelivery(delivery) {
+    return {
+        id: delivery.id,
+        event: delivery.event,
+        status: delivery.status,
+        attempts: delivery.attempts,
+        responseStatus: delivery.response_status,
+        error: delivery.error,
+        payload: delivery.payload,
+        createdAt: delivery.created_at,
+        deliveredAt: delivery.delivered_at,
+        nextAttemptAt: delivery.status === 'pending' ? delivery.next_attempt_at : null
+    };
+}
+
+module.exports = {
+    EVENTS,
+    WebhookError,
+    sign,
+    createIncoming,
+    authenticateIncoming,
+    createOutgoing,
+    list,
+    remove,
+    getDeliveries,
+    dispatch,
+    deliverDue,
+    describeIncoming,
+    describeOutgoing
+};